@@ -0,0 +1,2106 @@
+/**
+ * Retro Arcade Adventure - Game Core
+ * The rules of the game as plain data and functions: rounds, scoring, health, power-ups,
+ * enemy movement and contact. Nothing here touches Phaser or the page, so the simulation
+ * runs the same in the browser (game.js renders it) and under Node.
+ */
+
+// Game constants
+const GAME_CONSTANTS = {
+  WIDTH: 800,
+  HEIGHT: 600,
+  // All speeds are in pixels per second and all timers in milliseconds, so play is the same at any refresh rate
+  PLAYER_SPEED: 300,
+  PATROL_TURN_INTERVAL: 1000,
+  MAX_FRAME_DELTA: 100, // Longer frames (tab switches, hitches) are clamped so nothing tunnels across the field
+  FIXED_TIMESTEP: 1000 / 60, // Gameplay runs in steps of this many ms, however fast the display refreshes
+  BUILD_VERSION: '1.5.0', // Stamped on replays - bump it when a change makes old runs play out differently
+  REPLAY_VERSION: 1,
+  REPLAY_STORAGE_KEY: 'retroArcadeReplays',
+  REPLAY_SPEEDS: [1, 2, 4, 8],
+  REPLAY_END_DELAY: 2000,
+  PLAYER_SIZE: 32,
+  ENEMY_SIZE: 48,
+  COLLECTIBLE_SIZE: 32,
+  SCORE_PER_COLLECTIBLE: 10,
+  COMBO_WINDOW: 1500, // A pickup within this many ms of the last one continues the combo
+  COMBO_MAX: 5, // Highest combo multiplier
+  // Round-clear bonuses: points per second under par (not on survive rounds), a flat bonus for
+  // taking no damage in the round, and points per point of health left
+  ROUND_PAR_TIME: 30000,
+  TIME_BONUS_PER_SECOND: 2,
+  NO_DAMAGE_BONUS: 50,
+  HEALTH_BONUS_PER_POINT: 0.5,
+  ROUND_TALLY_DURATION: 3000, // Play holds this long on the round-clear tally before the next round
+  STARTING_LIVES: 3,
+  RESPAWN_INVULNERABILITY: 2500, // A new life starts untouchable for this long
+  CONTINUE_SECONDS: 9, // The continue countdown after the last life, when a credit is left
+  EXTRA_LIFE_SCORES: [500, 1500], // Scores that award an extra life...
+  EXTRA_LIFE_INTERVAL: 2000, // ...then one more every this many points past the last of them
+  MAX_HEALTH: 100,
+  BOUNDS_PADDING: 16,
+  ENEMY_TYPES: ['random', 'chaser', 'patrol', 'ambusher', 'wallHugger', 'splitter', 'teleporter'],
+  // Difficulty presets, picked on the title screen, each with its own high score table. A curve lists keyframes
+  // by round; rounds between two keyframes are interpolated and the last keyframe holds from there on.
+  // speed: enemy speed (times each type's multiplier), damage: health lost per contact (the player is then
+  // invulnerable for INVULNERABILITY_DURATION), and on random rounds enemies: the size of the pack,
+  // types: relative weights of the enemy types that join it, collectibles: GPUs on the field
+  // Boss rounds: every BOSS_ROUND_INTERVAL-th round that has no designed level is a fight with the mainframe AI.
+  // GPUs picked up there are carried, and each one delivered to the core under the boss costs it a point of health.
+  BOSS_ROUND_INTERVAL: 5,
+  BOSS: {
+    name: 'MAINFRAME AI',
+    health: 8, // On the first boss round...
+    healthPerEncounter: 2, // ...and this much more on each one after
+    position: { x: 400, y: 150 }, // Home, which it sways across
+    sway: { width: 220, speed: 0.6 }, // Pixels either side of home, radians per second
+    returnSpeed: 180, // Back to its sway after a dash
+    weakPoint: { x: 0, y: 38 }, // The core, from the boss's center - hitbox 'bossCore'
+    collectibles: 3, // GPUs kept on the field during the fight
+    collectibleZone: { x: 64, y: 260, width: 672, height: 276 }, // Below the boss
+    victoryBonus: 500,
+    // Phases by the health left (as a fraction): the boss runs through its phase's attacks in turn, one every interval ms
+    phases: [
+      { health: 1, interval: 1800, attacks: ['spread'] },
+      { health: 0.7, interval: 1500, attacks: ['spread', 'minions'] },
+      { health: 0.4, interval: 1200, attacks: ['dash', 'spread', 'minions', 'spread'] }
+    ],
+    spread: { count: 5, arc: 0.9, speed: 200, lifetime: 4000 }, // Projectiles per volley, fan width in radians
+    minions: { type: 'chaser', count: 2, max: 6 }, // Per summon, and the most on the field
+    dash: { windup: 700, speed: 620, duration: 650 } // A warning, then a charge at where the player was
+  },
+  DIFFICULTY_STORAGE_KEY: 'retroArcadeDifficulty',
+  DEFAULT_DIFFICULTY: 'normal',
+  DIFFICULTY_PRESETS: {
+    easy: {
+      label: 'EASY',
+      curve: [
+        { round: 1, speed: 180, enemies: 4, collectibles: 8, damage: 5, types: { random: 3, patrol: 2 } },
+        { round: 6, speed: 240, enemies: 6, collectibles: 10, damage: 8, types: { random: 2, patrol: 3, wallHugger: 2, chaser: 1 } },
+        { round: 12, speed: 280, enemies: 8, collectibles: 12, damage: 10, types: { random: 1, patrol: 3, wallHugger: 2, chaser: 1, ambusher: 1 } }
+      ]
+    },
+    normal: {
+      label: 'NORMAL',
+      curve: [
+        { round: 1, speed: 240, enemies: 5, collectibles: 10, damage: 10, types: { random: 1 } },
+        { round: 4, speed: 300, enemies: 6, collectibles: 10, damage: 10, types: { random: 2, patrol: 2, chaser: 1, wallHugger: 1 } },
+        { round: 8, speed: 360, enemies: 8, collectibles: 12, damage: 15, types: { random: 1, patrol: 2, chaser: 1, ambusher: 1, wallHugger: 1, splitter: 1, teleporter: 1 } },
+        { round: 15, speed: 400, enemies: 10, collectibles: 12, damage: 20, types: { random: 1, patrol: 2, chaser: 1, ambusher: 1, wallHugger: 1, splitter: 1, teleporter: 1 } }
+      ]
+    },
+    arcade: {
+      label: 'ARCADE',
+      curve: [
+        { round: 1, speed: 270, enemies: 6, collectibles: 10, damage: 15, types: { random: 1, patrol: 1 } },
+        { round: 4, speed: 360, enemies: 7, collectibles: 12, damage: 15, types: { random: 1, patrol: 1, chaser: 1, ambusher: 1, wallHugger: 1 } },
+        { round: 10, speed: 440, enemies: 10, collectibles: 14, damage: 20, types: { random: 1, patrol: 1, chaser: 2, ambusher: 2, wallHugger: 1, splitter: 1, teleporter: 2 } }
+      ]
+    },
+    nightmare: {
+      label: 'NIGHTMARE',
+      curve: [
+        { round: 1, speed: 330, enemies: 8, collectibles: 12, damage: 20, types: { random: 1, chaser: 1, ambusher: 1 } },
+        { round: 5, speed: 420, enemies: 10, collectibles: 14, damage: 25, types: { chaser: 2, ambusher: 2, wallHugger: 1, splitter: 1, teleporter: 2 } },
+        { round: 10, speed: 480, enemies: 12, collectibles: 16, damage: 34, types: { chaser: 2, ambusher: 2, wallHugger: 1, splitter: 1, teleporter: 2 } }
+      ]
+    }
+  },
+  // Tuning for the enemy types registered in EnemySystem
+  AMBUSHER_LOOKAHEAD: 0.6, // Seconds ahead of the player an ambusher aims
+  WALL_HUGGER_REACT_DISTANCE: 160,
+  SPLITTER_SPLIT_TIME: 8000,
+  SPLITTER_CHILDREN: 2,
+  SPLITTER_GENERATIONS: 2,
+  SPLITTER_CHILD_SCALE: 0.7,
+  SPLITTER_CHILD_SPEED: 1.5,
+  TELEPORTER_INTERVAL: 3000,
+  TELEPORTER_WARNING: 500,
+  TELEPORTER_MIN_DISTANCE: 160,
+  // Where each kind of entity may appear (zone, a rectangle from its top-left corner), how far from the player
+  // and how far apart from others of its kind. Zones keep GPUs off the edges and out from under the HUD.
+  SPAWN_RULES: {
+    enemy: { zone: { x: 48, y: 64, width: 704, height: 488 }, minPlayerDistance: 200, spacing: 64, margin: 24 },
+    collectible: { zone: { x: 64, y: 80, width: 672, height: 456 }, minPlayerDistance: 64, spacing: 56, margin: 16 },
+    powerUp: { zone: { x: 64, y: 80, width: 672, height: 456 }, minPlayerDistance: 96, spacing: 56, margin: 16 },
+    respawn: { zone: { x: 64, y: 80, width: 672, height: 456 }, minPlayerDistance: 0, spacing: 180, margin: 24 } // Spacing from enemies
+  },
+  SPAWN_ATTEMPTS: 30, // Random tries per spot before settling for the best one found
+  LEVEL_VERSION: 1,
+  LEVEL_STORAGE_KEY: 'retroArcadeCustomLevel',
+  EDITOR_GRID_SIZE: 32, // Everything placed in the editor snaps to this grid
+  EDITOR_UNDO_LIMIT: 100,
+  EDITOR_SURVIVE_STEP: 5, // Seconds added or taken by +/- on a survive round
+  // Power-ups may drop when a GPU is collected. Picking up one that is already running follows its stack rule:
+  // 'refresh' restarts the timer, 'extend' adds to it (up to POWER_UP_MAX_DURATION), 'level' raises its strength too
+  POWER_UP_SPAWN_CHANCE: 0.2,
+  POWER_UP_LIFETIME: 8000, // How long an uncollected power-up stays on the field
+  POWER_UP_MAX_DURATION: 15000,
+  POWER_UPS: {
+    shield: { label: 'SHIELD', tint: 0x00ffff, duration: 6000, stack: 'refresh', pitch: 660 },
+    speed: { label: 'SPEED', tint: 0xffff00, duration: 6000, stack: 'extend', multiplier: 1.5, pitch: 880 },
+    magnet: { label: 'MAGNET', tint: 0xff00ff, duration: 8000, stack: 'refresh', radius: 220, pullSpeed: 360, pitch: 550 },
+    freeze: { label: 'FREEZE', tint: 0x88ccff, duration: 4000, stack: 'extend', pitch: 440 },
+    health: { label: 'HEALTH', tint: 0x00ff00, amount: 30, pitch: 520 }, // Instant, capped at MAX_HEALTH
+    multiplier: { label: 'SCORE', tint: 0xff8800, duration: 10000, stack: 'level', maxLevel: 3, pitch: 990 } // x2, x3, x4
+  },
+  // The action button in play: a tap dashes; once the EMP is charged, holding the button for emp.hold ms fires it instead
+  ABILITIES: {
+    dash: { speed: 900, duration: 120, cooldown: 1500 }, // Cooldown counts from the start of the dash
+    emp: { gpus: 6, hold: 350, radius: 200, stun: 3000, tint: 0x66ffff } // GPUs collected to charge it, ms enemies stay stunned
+  },
+  HIGH_SCORE_STORAGE_KEY: 'retroArcadeHighScores',
+  HIGH_SCORE_VERSION: 1,
+  HIGH_SCORE_MAX_ENTRIES: 10,
+  INITIALS_LENGTH: 3,
+  INITIALS_ALPHABET: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789.',
+  FREE_PLAY_STORAGE_KEY: 'retroArcadeFreePlay',
+  MAX_CREDITS: 9,
+  ATTRACT_IDLE_TIMEOUT: 30000,
+  ATTRACT_PAGE_DURATIONS: {
+    insertCoin: 6000,
+    title: 8000,
+    highScores: 6000,
+    replay: 20000,
+    demo: 15000
+  },
+  ATTRACT_DEMO_COLLECTIBLES: 6,
+  ATTRACT_DEMO_AVOID_RADIUS: 110,
+  CONTROLS_STORAGE_KEY: 'retroArcadeControls',
+  CONTROLS_VERSION: 1,
+  // Keyboard keys per action, by Phaser KeyCodes name - the first key of each is the one rebound from OPTIONS
+  KEYBOARD_BINDINGS: {
+    up: ['UP', 'W'],
+    down: ['DOWN', 'S'],
+    left: ['LEFT', 'A'],
+    right: ['RIGHT', 'D'],
+    confirm: ['SPACE', 'ENTER'],
+    back: ['ESC', 'BACKSPACE'],
+    pause: ['P'],
+    coin: ['FIVE', 'C'],
+    options: ['O'],
+    editor: ['E'],
+    mute: ['M'],
+    freePlay: ['F'],
+    export: ['X'],
+    import: ['I']
+  },
+  // Standard gamepad mapping: A, B, Y, Select, Start and the d-pad
+  GAMEPAD_BINDINGS: {
+    up: [12],
+    down: [13],
+    left: [14],
+    right: [15],
+    confirm: [0],
+    back: [1],
+    pause: [9],
+    coin: [8],
+    options: [3],
+    editor: [], // The editor is mouse driven, so it gets no button
+    mute: [],
+    freePlay: [], // An operator switch, so it stays off the pad
+    export: [], // Replay files are saved and picked with the keyboard and mouse
+    import: []
+  },
+  AUDIO_STORAGE_KEY: 'retroArcadeAudio',
+  AUDIO_VERSION: 1,
+  VOLUME_STORAGE_KEY: 'retroArcadeVolume', // Master volume as saved before the mixer, read once if there are no audio settings yet
+  VOLUME_STEPS: 10, // The options screen moves each volume in tenths
+  MUSIC_VOLUME: 0.5, // Music bus level at full music volume, so sound effects sit on top
+  // The compressor at the end of the mixer, set hard enough to act as a limiter when beeps pile up
+  MIXER_COMPRESSOR: { threshold: -12, knee: 6, ratio: 12, attack: 0.003, release: 0.25 },
+  MIXER_FADE: 0.015, // Time constant (s) for volume changes, so moving a slider never clicks
+  MUSIC_SCHEDULE_AHEAD: 0.12, // Seconds of music queued on the audio clock ahead of time
+  MUSIC_SCHEDULER_INTERVAL: 25, // How often (ms) the scheduler tops the queue up
+  MUSIC_CROSSFADE: 1.2, // Seconds one track takes to fade into the next
+  MUSIC_ARP_RATE: 0.05, // Seconds per arpeggio note
+  MUSIC_LATE_ROUND: 5, // First round played to the late-rounds track
+  MUSIC_INTENSITY_ROUNDS: 8, // Round at which the music reaches full intensity
+  GAMEPAD_DEADZONE: 0.2,
+  GAMEPAD_MENU_THRESHOLD: 0.6, // How far the stick has to be pushed to count as a d-pad press in menus
+  GAME_OVER_DELAY: 1200,
+  INVULNERABILITY_DURATION: 1200,
+  INVULNERABILITY_BLINK_INTERVAL: 100,
+  KNOCKBACK_SPEED: 320,
+  KNOCKBACK_DURATION: 150,
+  // Centered hitboxes for contact and walls, tighter than the sprites so grazing a corner does not count
+  HITBOXES: {
+    player: { width: 18, height: 20 },
+    enemy: { width: 22, height: 22 },
+    collectible: { width: 14, height: 14 },
+    boss: { width: 84, height: 64 },
+    bossCore: { width: 32, height: 16 },
+    projectile: { width: 10, height: 10 }
+  },
+  EFFECT_POOL_SIZE: 64,
+  EFFECT_DEPTH: 50,
+  // Effects played for each game event - every entry takes the tuning options of its effect
+  EFFECT_PRESETS: {
+    collect: [
+      { effect: 'particleBurst', color: 0x00ff00, count: 12, speed: 60, duration: 400 },
+      { effect: 'flash', color: 0x00ff00, intensity: 0.12, duration: 80 }
+    ],
+    damage: [
+      { effect: 'shake', intensity: 0.008, duration: 120 },
+      { effect: 'flash', color: 0xff0000, intensity: 0.3, duration: 120 },
+      { effect: 'glitch', intensity: 0.3, duration: 120 }
+    ],
+    powerUp: [
+      { effect: 'particleBurst', color: 0xffffff, count: 20, speed: 120, duration: 500 },
+      { effect: 'flash', color: 0xffffff, intensity: 0.25, duration: 120 }
+    ],
+    lifeLost: [
+      { effect: 'shake', intensity: 0.02, duration: 300 },
+      { effect: 'flash', color: 0xff0000, intensity: 0.5, duration: 250 },
+      { effect: 'particleBurst', color: 0xff4444, count: 24, speed: 160, duration: 600 }
+    ],
+    respawn: [
+      { effect: 'particleBurst', color: 0x00ffff, count: 16, speed: 80, duration: 500 }
+    ],
+    bossStart: [
+      { effect: 'shake', intensity: 0.015, duration: 500 },
+      { effect: 'flash', color: 0xff0000, intensity: 0.4, duration: 400 },
+      { effect: 'glitch', intensity: 0.6, duration: 500 }
+    ],
+    bossHit: [
+      { effect: 'particleBurst', color: 0x00ff00, count: 20, speed: 140, duration: 500 },
+      { effect: 'electric', color: 0x00ff00, radius: 80, bolts: 5, duration: 300 },
+      { effect: 'shake', intensity: 0.01, duration: 150 }
+    ],
+    bossPhase: [
+      { effect: 'flash', color: 0xff00ff, intensity: 0.4, duration: 250 },
+      { effect: 'electric', color: 0xff00ff, radius: 160, bolts: 8, duration: 500 }
+    ],
+    bossExplosion: [
+      { effect: 'particleBurst', color: 0xffaa00, count: 28, speed: 200, size: 5, duration: 700 },
+      { effect: 'shake', intensity: 0.02, duration: 250 }
+    ],
+    bossDefeated: [
+      { effect: 'flash', color: 0xffffff, intensity: 0.8, duration: 600 },
+      { effect: 'shake', intensity: 0.04, duration: 900 },
+      { effect: 'particleBurst', color: 0x00ffff, count: 48, speed: 260, size: 6, duration: 1200 },
+      { effect: 'electric', color: 0xffff00, radius: 220, bolts: 10, duration: 800 }
+    ],
+    emp: [
+      { effect: 'electric', color: 0x66ffff, radius: 200, bolts: 10, duration: 400 },
+      { effect: 'particleBurst', color: 0x66ffff, count: 32, speed: 320, duration: 500 },
+      { effect: 'flash', color: 0x66ffff, intensity: 0.3, duration: 150 },
+      { effect: 'shake', intensity: 0.008, duration: 200 }
+    ],
+    newRound: [
+      { effect: 'flash', color: 0x00ffff, intensity: 0.5, duration: 300 },
+      { effect: 'electric', color: 0x00ffff, radius: 300, bolts: 8, duration: 400 },
+      { effect: 'particleBurst', color: 0xffff00, count: 24, speed: 200, duration: 700 }
+    ],
+    gameOver: [
+      { effect: 'shake', intensity: 0.03, duration: 600 },
+      { effect: 'flash', color: 0xff0000, intensity: 0.7, duration: 500 },
+      { effect: 'glitch', intensity: 1, duration: 900 },
+      { effect: 'particleBurst', color: 0x00ffff, count: 32, speed: 180, size: 6, duration: 900 },
+      { effect: 'electric', color: 0xff00ff, radius: 140, bolts: 6, duration: 600 }
+    ]
+  },
+  // Synthesized sound effects, in the preset format described above SfxSystem in game.js
+  SOUND_PRESETS: {
+    collect: {
+      voice: { wave: 'pulse', duty: 0.25, frequency: 800, volume: 0.15, envelope: { attack: 0.005, decay: 0.04, sustain: 0.6, hold: 0.02, release: 0.04 } },
+      notes: [{ pitch: 0 }, { pitch: 4, delay: 0.05, volume: 0.1 }]
+    },
+    damage: {
+      voice: { wave: 'sawtooth', frequency: 400, slide: -5, volume: 0.2, envelope: { attack: 0.005, decay: 0.05, sustain: 0.5, hold: 0.08, release: 0.07 } },
+      notes: [
+        { pitch: 0 },
+        { wave: 'noise', frequency: 3000, slide: -12, volume: 0.15 },
+        { pitch: -12, delay: 0.1, volume: 0.15, envelope: { hold: 0.15, release: 0.1 } }
+      ]
+    },
+    start: {
+      voice: { wave: 'pulse', duty: 0.5, frequency: 523.25, volume: 0.2, envelope: { attack: 0.005, decay: 0.03, sustain: 0.7, hold: 0.07, release: 0.05 } },
+      notes: [
+        { pitch: 0 },
+        { pitch: 4, delay: 0.15 },
+        { pitch: 7, delay: 0.3 },
+        { pitch: 12, delay: 0.45, vibrato: { depth: 0.3, rate: 10 }, envelope: { hold: 0.2, release: 0.15 } }
+      ]
+    },
+    gameOver: {
+      voice: { wave: 'sawtooth', frequency: 523.25, volume: 0.25, envelope: { attack: 0.01, decay: 0.05, sustain: 0.6, hold: 0.1, release: 0.05 } },
+      notes: [
+        { pitch: 0 },
+        { pitch: -3, delay: 0.2 },
+        { pitch: -7, delay: 0.4 },
+        { pitch: -10, delay: 0.6, slide: -12, vibrato: { depth: 0.5, rate: 6 }, envelope: { hold: 0.4, release: 0.3 } }
+      ]
+    },
+    lifeLost: {
+      voice: { wave: 'square', frequency: 440, slide: -24, vibrato: { depth: 1, rate: 14 }, volume: 0.2, envelope: { attack: 0.005, decay: 0.1, sustain: 0.7, hold: 0.35, release: 0.15 } },
+      notes: [{ pitch: 0 }, { wave: 'periodicNoise', frequency: 2000, slide: -12, volume: 0.12, delay: 0.1 }]
+    },
+    extraLife: {
+      voice: { wave: 'pulse', duty: 0.25, frequency: 659.25, volume: 0.18, envelope: { attack: 0.005, decay: 0.02, sustain: 0.8, hold: 0.05, release: 0.03 } },
+      notes: [
+        { pitch: 0 },
+        { pitch: 3, delay: 0.08 },
+        { pitch: 7, delay: 0.16 },
+        { pitch: 12, delay: 0.24 },
+        { pitch: 15, delay: 0.32, vibrato: { depth: 0.3, rate: 12 }, envelope: { hold: 0.15, release: 0.1 } }
+      ]
+    },
+    bossSting: {
+      voice: { wave: 'sawtooth', frequency: 220, volume: 0.22, envelope: { attack: 0.01, decay: 0.05, sustain: 0.7, hold: 0.12, release: 0.06 } },
+      notes: [
+        { pitch: 0 },
+        { pitch: 0, delay: 0.2 },
+        { pitch: 1, delay: 0.4 },
+        { pitch: -6, delay: 0.6, vibrato: { depth: 0.6, rate: 7 }, envelope: { hold: 0.5, release: 0.3 } },
+        { wave: 'noise', frequency: 200, delay: 0.6, volume: 0.12, envelope: { hold: 0.4, release: 0.4 } }
+      ]
+    },
+    bossSpread: {
+      voice: { wave: 'pulse', duty: 0.25, frequency: 900, slide: -18, volume: 0.12, envelope: { attack: 0.002, decay: 0.03, sustain: 0.5, hold: 0.05, release: 0.05 } },
+      notes: [{ pitch: 0 }, { pitch: -5, delay: 0.05 }]
+    },
+    bossMinions: {
+      voice: { wave: 'square', frequency: 150, slide: 12, volume: 0.15, envelope: { attack: 0.01, decay: 0.05, sustain: 0.6, hold: 0.15, release: 0.08 } },
+      notes: [{ pitch: 0 }, { pitch: 7, delay: 0.12 }]
+    },
+    bossDash: {
+      voice: { wave: 'sawtooth', frequency: 110, slide: 24, vibrato: { depth: 1, rate: 20 }, volume: 0.18, envelope: { attack: 0.05, decay: 0.05, sustain: 0.8, hold: 0.5, release: 0.1 } },
+      notes: [{ pitch: 0 }]
+    },
+    bossHit: {
+      voice: { wave: 'pulse', duty: 0.5, frequency: 330, volume: 0.2, envelope: { attack: 0.002, decay: 0.04, sustain: 0.6, hold: 0.06, release: 0.06 } },
+      notes: [{ pitch: 0 }, { pitch: 12, delay: 0.06 }, { wave: 'periodicNoise', frequency: 1500, volume: 0.12, delay: 0.02 }]
+    },
+    bossVictory: {
+      voice: { wave: 'pulse', duty: 0.25, frequency: 392, volume: 0.2, envelope: { attack: 0.005, decay: 0.03, sustain: 0.8, hold: 0.1, release: 0.05 } },
+      notes: [
+        { pitch: 0 },
+        { pitch: 4, delay: 0.12 },
+        { pitch: 7, delay: 0.24 },
+        { pitch: 12, delay: 0.36 },
+        { pitch: 7, delay: 0.54 },
+        { pitch: 12, delay: 0.66, vibrato: { depth: 0.3, rate: 10 }, envelope: { hold: 0.5, release: 0.3 } },
+        { pitch: 16, delay: 0.66, volume: 0.12, envelope: { hold: 0.5, release: 0.3 } }
+      ]
+    },
+    dash: {
+      voice: { wave: 'noise', frequency: 2400, slide: -30, volume: 0.14, envelope: { attack: 0.005, decay: 0.03, sustain: 0.6, hold: 0.06, release: 0.06 } },
+      notes: [{ pitch: 0 }, { wave: 'triangle', frequency: 300, slide: 20, volume: 0.1 }]
+    },
+    empReady: {
+      voice: { wave: 'triangle', frequency: 880, volume: 0.15, envelope: { attack: 0.005, decay: 0.03, sustain: 0.7, hold: 0.05, release: 0.05 } },
+      notes: [{ pitch: 0 }, { pitch: 7, delay: 0.07 }, { pitch: 12, delay: 0.14 }]
+    },
+    emp: {
+      voice: { wave: 'square', frequency: 120, slide: -4, vibrato: { depth: 0.8, rate: 30 }, volume: 0.2, envelope: { attack: 0.005, decay: 0.1, sustain: 0.6, hold: 0.25, release: 0.2 } },
+      notes: [
+        { pitch: 0 },
+        { pitch: 36, slide: -40, volume: 0.12, envelope: { hold: 0.1, release: 0.1 } },
+        { wave: 'noise', frequency: 800, slide: -10, volume: 0.15, envelope: { hold: 0.3, release: 0.25 } }
+      ]
+    },
+    newRound: {
+      voice: { wave: 'pulse', duty: 0.125, frequency: 300, slide: 2, volume: 0.2, envelope: { attack: 0.005, decay: 0.05, sustain: 0.6, hold: 0.1, release: 0.05 } },
+      notes: [
+        { pitch: 0 },
+        { pitch: 5, delay: 0.15, volume: 0.15 },
+        { pitch: 9, delay: 0.3, volume: 0.12, envelope: { hold: 0.15, release: 0.1 } }
+      ]
+    }
+  }
+};
+
+// The few Phaser.Math helpers the rules need, with the same formulas so runs match to the last bit
+const CoreMath = {
+  distance(x1, y1, x2, y2) {
+    const dx = x1 - x2;
+    const dy = y1 - y2;
+    return Math.sqrt(dx * dx + dy * dy);
+  },
+
+  angle(x1, y1, x2, y2) {
+    return Math.atan2(y2 - y1, x2 - x1);
+  },
+
+  clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  },
+
+  linear(from, to, t) {
+    return (to - from) * t + from;
+  }
+};
+
+/**
+ * Random System
+ * The one seedable random source for gameplay - spawns, drops and enemy decisions - so a seed replays the same run.
+ * Cosmetic randomness (effects, intro and loading screens) stays on Phaser.Math and Math.random in game.js.
+ */
+const RandomSystem = {
+  state: 0,
+
+  // Any text or number; the same seed always gives the same sequence
+  seed(value) {
+    // FNV-1a hash of the seed text
+    const text = String(value);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    this.state = hash >>> 0;
+  },
+
+  // Mulberry32 - a float from 0 up to (not including) 1
+  frac() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  },
+
+  // Whole number from min to max, both included, like Phaser.Math.Between
+  between(min, max) {
+    return Math.floor(this.frac() * (max - min + 1)) + min;
+  },
+
+  floatBetween(min, max) {
+    return this.frac() * (max - min) + min;
+  },
+
+  pick(array) {
+    return array[Math.floor(this.frac() * array.length)];
+  },
+
+  // ?seed=K3J9X2QA replays a run, ?seed=daily gives everyone the same run for the day (UTC)
+  loadSeedParam(search) {
+    try {
+      const param = new URLSearchParams(search).get('seed');
+      const seed = param ? param.trim().toUpperCase().slice(0, 32) : null;
+      if (seed) console.log(`🎲 RANDOM: Seed ${seed} from the URL`);
+      return seed;
+    } catch (error) {
+      console.warn('❌ RANDOM: Failed to read the seed parameter:', error);
+      return null;
+    }
+  },
+
+  getDailySeed(date = new Date()) {
+    return `DAILY-${date.toISOString().slice(0, 10)}`;
+  },
+
+  // Seeds a new run with the given seed ('DAILY' for today's), or a fresh one to show on the game over screen
+  startRun(requested) {
+    let seed = requested;
+    if (seed === 'DAILY') seed = this.getDailySeed();
+    if (!seed) seed = Math.floor(Math.random() * Math.pow(36, 8)).toString(36).toUpperCase().padStart(8, '0');
+
+    this.seed(seed);
+    console.log(`🎲 RANDOM: Run seed ${seed}`);
+    return seed;
+  }
+};
+
+/**
+ * Enemy System
+ * Registry of enemy types: each declares its sprite, speed multiplier, hitbox and behaviour,
+ * so adding an enemy never touches the main loop
+ */
+const EnemySystem = {
+  // Enemies are plain objects (see GameCore.createEnemy); behaviours move them and may set alpha or scale.
+  // move(enemy, context) gets { state, target, speed (pixels this frame), delta (ms), spawn(x, y, type) }
+  types: {
+    random: {
+      sprite: 'enemy-random',
+      speed: 1,
+      hitbox: 'enemy',
+      move(enemy, context) {
+        enemy.x += RandomSystem.floatBetween(-context.speed, context.speed);
+        enemy.y += RandomSystem.floatBetween(-context.speed, context.speed);
+      }
+    },
+
+    chaser: {
+      sprite: 'enemy-chaser',
+      speed: 0.24,
+      hitbox: 'enemy',
+      move(enemy, context) {
+        if (context.target && context.target.visible) {
+          EnemySystem.moveTowards(enemy, context.target.x, context.target.y, context.speed);
+        }
+      }
+    },
+
+    patrol: {
+      sprite: 'enemy-patrol',
+      speed: 0.7,
+      hitbox: 'enemy',
+      move(enemy, context) {
+        // Levels can give a patrol a route of waypoints, walked in a loop
+        if (enemy.path && enemy.path.length > 0) {
+          const waypoint = enemy.path[enemy.pathIndex];
+          if (CoreMath.distance(enemy.x, enemy.y, waypoint.x, waypoint.y) <= context.speed) {
+            enemy.x = waypoint.x;
+            enemy.y = waypoint.y;
+            enemy.pathIndex = (enemy.pathIndex + 1) % enemy.path.length;
+          } else {
+            EnemySystem.moveTowards(enemy, waypoint.x, waypoint.y, context.speed);
+          }
+          return;
+        }
+
+        // Change direction every PATROL_TURN_INTERVAL ms, or straight away on hitting a wall
+        enemy.moveTimer += context.delta;
+        if (enemy.moveTimer > GAME_CONSTANTS.PATROL_TURN_INTERVAL || enemy.blocked) {
+          enemy.moveDirection = RandomSystem.between(0, 3);
+          enemy.moveTimer = 0;
+        }
+
+        switch (enemy.moveDirection) {
+          case 0: enemy.y -= context.speed; break; // up
+          case 1: enemy.y += context.speed; break; // down
+          case 2: enemy.x -= context.speed; break; // left
+          case 3: enemy.x += context.speed; break; // right
+        }
+      }
+    },
+
+    // Heads for where the player will be rather than where they are
+    ambusher: {
+      sprite: 'enemy-ambusher',
+      speed: 0.3,
+      hitbox: 'enemy',
+      init(enemy) {
+        enemy.targetVelocity = { x: 0, y: 0 };
+        enemy.lastTargetPosition = null;
+      },
+      move(enemy, context) {
+        const target = context.target;
+        if (!target || !target.visible) return;
+
+        const seconds = GameCore.frameSeconds(context.delta);
+        if (enemy.lastTargetPosition && seconds > 0) {
+          // Smoothed so a single twitch of the stick does not send it the wrong way
+          const velocityX = (target.x - enemy.lastTargetPosition.x) / seconds;
+          const velocityY = (target.y - enemy.lastTargetPosition.y) / seconds;
+          enemy.targetVelocity.x = CoreMath.linear(enemy.targetVelocity.x, velocityX, 0.2);
+          enemy.targetVelocity.y = CoreMath.linear(enemy.targetVelocity.y, velocityY, 0.2);
+        }
+        enemy.lastTargetPosition = { x: target.x, y: target.y };
+
+        const aimX = target.x + enemy.targetVelocity.x * GAME_CONSTANTS.AMBUSHER_LOOKAHEAD;
+        const aimY = target.y + enemy.targetVelocity.y * GAME_CONSTANTS.AMBUSHER_LOOKAHEAD;
+        EnemySystem.moveTowards(enemy, aimX, aimY, context.speed);
+      }
+    },
+
+    // Runs along the edge of the field and cuts off players who stray near it
+    wallHugger: {
+      sprite: 'enemy-wall-hugger',
+      speed: 0.8,
+      hitbox: 'enemy',
+      init(enemy) {
+        enemy.moveDirection = RandomSystem.pick([-1, 1]);
+      },
+      move(enemy, context) {
+        const track = EnemySystem.getWallTrack();
+        const position = EnemySystem.toWallTrack(enemy.x, enemy.y);
+        const onWall = CoreMath.distance(enemy.x, enemy.y, position.x, position.y) <= context.speed;
+
+        // Walk straight to the nearest wall first
+        if (!onWall) {
+          EnemySystem.moveTowards(enemy, position.x, position.y, context.speed);
+          return;
+        }
+
+        const target = context.target;
+        if (target && target.visible) {
+          const targetPosition = EnemySystem.toWallTrack(target.x, target.y);
+          const targetDistance = CoreMath.distance(target.x, target.y, targetPosition.x, targetPosition.y);
+          if (targetDistance < GAME_CONSTANTS.WALL_HUGGER_REACT_DISTANCE) {
+            // Take the shorter way round the loop towards the player
+            let gap = targetPosition.distance - position.distance;
+            if (Math.abs(gap) > track.length / 2) gap -= Math.sign(gap) * track.length;
+            if (Math.abs(gap) > context.speed) enemy.moveDirection = Math.sign(gap);
+          }
+        }
+
+        const next = EnemySystem.fromWallTrack(position.distance + enemy.moveDirection * context.speed);
+        enemy.x = next.x;
+        enemy.y = next.y;
+      }
+    },
+
+    // Closes in slowly, then divides into smaller, faster copies when its timer runs out
+    splitter: {
+      sprite: 'enemy-splitter',
+      speed: 0.2,
+      hitbox: 'enemy',
+      init(enemy) {
+        enemy.generation = 0;
+        enemy.splitTimer = GAME_CONSTANTS.SPLITTER_SPLIT_TIME;
+      },
+      move(enemy, context) {
+        const speed = context.speed * Math.pow(GAME_CONSTANTS.SPLITTER_CHILD_SPEED, enemy.generation);
+        if (context.target && context.target.visible) {
+          EnemySystem.moveTowards(enemy, context.target.x, context.target.y, speed);
+        }
+
+        if (enemy.generation >= GAME_CONSTANTS.SPLITTER_GENERATIONS) return;
+
+        enemy.splitTimer -= context.delta;
+        // Flicker during the last second as a warning
+        enemy.alpha = enemy.splitTimer < 1000 && Math.floor(enemy.splitTimer / 100) % 2 === 0 ? 0.4 : 1;
+        if (enemy.splitTimer > 0 || typeof context.spawn !== 'function') return;
+
+        // The parent becomes one of the halves
+        enemy.generation++;
+        enemy.splitTimer = GAME_CONSTANTS.SPLITTER_SPLIT_TIME;
+        enemy.scale = Math.pow(GAME_CONSTANTS.SPLITTER_CHILD_SCALE, enemy.generation);
+        enemy.alpha = 1;
+
+        for (let i = 1; i < GAME_CONSTANTS.SPLITTER_CHILDREN; i++) {
+          const angle = (Math.PI * 2 * i) / GAME_CONSTANTS.SPLITTER_CHILDREN;
+          const child = context.spawn(enemy.x + Math.cos(angle) * 20, enemy.y + Math.sin(angle) * 20, 'splitter');
+          if (child) {
+            child.generation = enemy.generation;
+            child.scale = enemy.scale;
+          }
+        }
+        console.log(`👾 ENEMY: Splitter divided (generation ${enemy.generation})`);
+      }
+    },
+
+    // Drifts slowly and blinks to a new spot every few seconds, never right on top of the player
+    teleporter: {
+      sprite: 'enemy-teleporter',
+      speed: 0.3,
+      hitbox: 'enemy',
+      move(enemy, context) {
+        if (context.target && context.target.visible) {
+          EnemySystem.moveTowards(enemy, context.target.x, context.target.y, context.speed);
+        }
+
+        enemy.moveTimer += context.delta;
+        const remaining = GAME_CONSTANTS.TELEPORTER_INTERVAL - enemy.moveTimer;
+        enemy.alpha = remaining < GAME_CONSTANTS.TELEPORTER_WARNING && Math.floor(remaining / 80) % 2 === 0 ? 0.2 : 1;
+        if (remaining > 0) return;
+
+        enemy.moveTimer = 0;
+        enemy.alpha = 1;
+        const spot = EnemySystem.findTeleportSpot(context.state, context.target);
+        enemy.x = spot.x;
+        enemy.y = spot.y;
+      }
+    }
+  },
+
+  get(type) {
+    return this.types[type] || this.types.random;
+  },
+
+  register(type, definition) {
+    this.types[type] = Object.assign({ speed: 1, hitbox: 'enemy' }, definition);
+  },
+
+  getSpriteKeys() {
+    return Object.keys(this.types).map(type => this.types[type].sprite)
+      .filter((sprite, index, sprites) => sprites.indexOf(sprite) === index);
+  },
+
+  moveTowards(enemy, x, y, distance) {
+    const angle = CoreMath.angle(enemy.x, enemy.y, x, y);
+    enemy.x += Math.cos(angle) * distance;
+    enemy.y += Math.sin(angle) * distance;
+  },
+
+  // The wall track is the loop around the field that enemies are clamped to
+  getWallTrack() {
+    const min = GAME_CONSTANTS.PLAYER_SIZE;
+    const width = GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.PLAYER_SIZE * 2;
+    const height = GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.PLAYER_SIZE * 2;
+    return { min, width, height, length: (width + height) * 2 };
+  },
+
+  // Nearest point on the wall track, with its distance along the loop (clockwise from the top-left corner)
+  toWallTrack(x, y) {
+    const track = this.getWallTrack();
+    const localX = CoreMath.clamp(x - track.min, 0, track.width);
+    const localY = CoreMath.clamp(y - track.min, 0, track.height);
+    const edges = [
+      { gap: localY, x: localX, y: 0, distance: localX },
+      { gap: track.width - localX, x: track.width, y: localY, distance: track.width + localY },
+      { gap: track.height - localY, x: localX, y: track.height, distance: track.width * 2 + track.height - localX },
+      { gap: localX, x: 0, y: localY, distance: track.length - localY }
+    ];
+    const edge = edges.reduce((best, candidate) => (candidate.gap < best.gap ? candidate : best));
+    return { x: edge.x + track.min, y: edge.y + track.min, distance: edge.distance % track.length };
+  },
+
+  fromWallTrack(distance) {
+    const track = this.getWallTrack();
+    let d = ((distance % track.length) + track.length) % track.length;
+
+    if (d <= track.width) return { x: track.min + d, y: track.min };
+    d -= track.width;
+    if (d <= track.height) return { x: track.min + track.width, y: track.min + d };
+    d -= track.height;
+    if (d <= track.width) return { x: track.min + track.width - d, y: track.min + track.height };
+    d -= track.width;
+    return { x: track.min, y: track.min + track.height - d };
+  },
+
+  findTeleportSpot(state, target) {
+    return SpawnSystem.findSpot(state, 'enemy', { player: target, minPlayerDistance: GAME_CONSTANTS.TELEPORTER_MIN_DISTANCE });
+  }
+};
+
+/**
+ * Difficulty System
+ * Reads the difficulty curves: what a round of a preset looks like - enemy speed, the random rounds' pack
+ * and type mix, GPUs and damage
+ */
+const DifficultySystem = {
+  // Preset keys in the order the title screen cycles through them
+  getNames() {
+    return Object.keys(GAME_CONSTANTS.DIFFICULTY_PRESETS);
+  },
+
+  // Unknown keys (stale settings, replays from before the presets) fall back to the default
+  resolve(difficulty) {
+    return GAME_CONSTANTS.DIFFICULTY_PRESETS[difficulty] ? difficulty : GAME_CONSTANTS.DEFAULT_DIFFICULTY;
+  },
+
+  getLabel(difficulty) {
+    return GAME_CONSTANTS.DIFFICULTY_PRESETS[this.resolve(difficulty)].label;
+  },
+
+  // The next (step 1) or previous (step -1) preset, wrapping around
+  cycle(difficulty, step) {
+    const names = this.getNames();
+    const index = names.indexOf(this.resolve(difficulty));
+    return names[(index + step + names.length) % names.length];
+  },
+
+  // { speed, enemies, collectibles, damage, types } for a round of the preset
+  getRoundSettings(difficulty, round) {
+    const curve = GAME_CONSTANTS.DIFFICULTY_PRESETS[this.resolve(difficulty)].curve;
+    const next = curve.findIndex(keyframe => keyframe.round > round);
+    if (next === 0) return this.blend(curve[0], curve[0], 0);
+    if (next === -1) return this.blend(curve[curve.length - 1], curve[curve.length - 1], 0);
+
+    const from = curve[next - 1];
+    const to = curve[next];
+    return this.blend(from, to, (round - from.round) / (to.round - from.round));
+  },
+
+  // Counts are rounded to whole enemies, GPUs and health points; a type missing from a keyframe weighs 0 there
+  blend(from, to, t) {
+    const types = {};
+    Object.keys(Object.assign({}, from.types, to.types)).forEach(type => {
+      types[type] = CoreMath.linear(from.types[type] || 0, to.types[type] || 0, t);
+    });
+
+    return {
+      speed: CoreMath.linear(from.speed, to.speed, t),
+      enemies: Math.round(CoreMath.linear(from.enemies, to.enemies, t)),
+      collectibles: Math.round(CoreMath.linear(from.collectibles, to.collectibles, t)),
+      damage: Math.round(CoreMath.linear(from.damage, to.damage, t)),
+      types: types
+    };
+  },
+
+  // A weighted pick from a round's type mix
+  pickEnemyType(types) {
+    const names = Object.keys(types).filter(type => types[type] > 0 && EnemySystem.types[type]);
+    const total = names.reduce((sum, type) => sum + types[type], 0);
+    if (total <= 0) return 'random';
+
+    let roll = RandomSystem.floatBetween(0, total);
+    return names.find(type => (roll -= types[type]) < 0) || names[names.length - 1];
+  }
+};
+
+/**
+ * Power-Up System
+ * Special pickups that sometimes drop when a GPU is collected, and their timed effects
+ */
+const PowerUpSystem = {
+  isActive(state, type) {
+    return Boolean(state.activePowerUps[type]);
+  },
+
+  getLevel(state, type) {
+    const active = state.activePowerUps[type];
+    return active ? active.level : 0;
+  },
+
+  getScoreMultiplier(state) {
+    return 1 + this.getLevel(state, 'multiplier');
+  },
+
+  getSpeedMultiplier(state) {
+    return this.isActive(state, 'speed') ? GAME_CONSTANTS.POWER_UPS.speed.multiplier : 1;
+  },
+
+  // One power-up on the field at a time
+  trySpawn(state) {
+    if (state.powerUps.length > 0) return null;
+    if (RandomSystem.frac() >= GAME_CONSTANTS.POWER_UP_SPAWN_CHANCE) return null;
+
+    const type = RandomSystem.pick(Object.keys(GAME_CONSTANTS.POWER_UPS));
+    const spot = SpawnSystem.findSpot(state, 'powerUp');
+    return this.spawn(state, spot.x, spot.y, type);
+  },
+
+  spawn(state, x, y, type) {
+    // Power-ups are a size up from GPUs, hitbox included
+    const powerUp = GameCore.createEntity(state, x, y, { powerUpType: type, lifetime: GAME_CONSTANTS.POWER_UP_LIFETIME, scale: 1.5 });
+    state.powerUps.push(powerUp);
+    console.log(`⚡ POWER-UP: ${type} dropped`);
+    return powerUp;
+  },
+
+  collect(state, powerUp) {
+    const type = powerUp.powerUpType;
+
+    GameCore.remove(state.powerUps, powerUp);
+    this.activate(state, type);
+    GameCore.emit(state, 'powerUp', { powerUp: type, x: powerUp.x, y: powerUp.y });
+  },
+
+  // Different power-ups run side by side; picking up one that is already running follows its stack rule
+  activate(state, type) {
+    const definition = GAME_CONSTANTS.POWER_UPS[type];
+    if (!definition) return;
+
+    if (type === 'health') {
+      state.health = Math.min(GAME_CONSTANTS.MAX_HEALTH, state.health + definition.amount);
+      return;
+    }
+
+    const active = state.activePowerUps[type];
+    if (!active) {
+      state.activePowerUps[type] = { remaining: definition.duration, level: 1 };
+    } else if (definition.stack === 'extend') {
+      active.remaining = Math.min(active.remaining + definition.duration, GAME_CONSTANTS.POWER_UP_MAX_DURATION);
+    } else if (definition.stack === 'level') {
+      active.level = Math.min(active.level + 1, definition.maxLevel);
+      active.remaining = definition.duration;
+    } else {
+      active.remaining = definition.duration;
+    }
+
+    console.log(`⚡ POWER-UP: ${type} active (level ${state.activePowerUps[type].level})`);
+  },
+
+  // Runs on simulation time, so the pause menu stops every timer with the rest of the run
+  update(state, delta) {
+    const elapsed = Math.min(delta || 0, GAME_CONSTANTS.MAX_FRAME_DELTA);
+    let expired = false;
+
+    Object.keys(state.activePowerUps).forEach(type => {
+      state.activePowerUps[type].remaining -= elapsed;
+      if (state.activePowerUps[type].remaining <= 0) {
+        delete state.activePowerUps[type];
+        expired = true;
+        console.log(`⚡ POWER-UP: ${type} wore off`);
+      }
+    });
+
+    if (expired) GameCore.emit(state, 'powerUpEnd');
+
+    // Uncollected power-ups blink for their last two seconds, then vanish
+    state.powerUps.slice().forEach(powerUp => {
+      powerUp.lifetime -= elapsed;
+      powerUp.alpha = powerUp.lifetime < 2000 && Math.floor(powerUp.lifetime / 150) % 2 === 0 ? 0.3 : 1;
+      if (powerUp.lifetime <= 0) {
+        GameCore.remove(state.powerUps, powerUp);
+      }
+    });
+
+    if (this.isActive(state, 'magnet')) {
+      const magnet = GAME_CONSTANTS.POWER_UPS.magnet;
+      const pull = magnet.pullSpeed * GameCore.frameSeconds(delta);
+      const player = state.player;
+
+      state.collectibles.forEach(collectible => {
+        const distance = CoreMath.distance(collectible.x, collectible.y, player.x, player.y);
+        if (distance > 0 && distance < magnet.radius) {
+          const angle = CoreMath.angle(collectible.x, collectible.y, player.x, player.y);
+          collectible.x += Math.cos(angle) * Math.min(pull, distance);
+          collectible.y += Math.sin(angle) * Math.min(pull, distance);
+        }
+      });
+    }
+  }
+};
+
+/**
+ * Ability System
+ * The action button in play: a short dash on a cooldown, and an EMP pulse charged by collecting GPUs that stuns
+ * the enemies around the player. A tap dashes; with the EMP charged, a press is held back until it turns out to be
+ * a tap (a dash on release) or a hold (the pulse).
+ */
+const AbilitySystem = {
+  createState() {
+    return {
+      held: false, // The button on the last step, so presses and releases can be told apart
+      charging: null, // ms a press has been held while the EMP is charged, or null
+      facing: { x: 0, y: -1 }, // The last direction moved, which a dash goes in
+      dash: null, // { time, x, y } while dashing
+      dashCooldown: 0,
+      empCharge: 0 // GPUs collected towards the EMP, up to ABILITIES.emp.gpus
+    };
+  },
+
+  isEmpReady(state) {
+    return state.abilities.empCharge >= GAME_CONSTANTS.ABILITIES.emp.gpus;
+  },
+
+  update(state, input, delta) {
+    const abilities = state.abilities;
+    const ms = Math.min(delta || 0, GAME_CONSTANTS.MAX_FRAME_DELTA);
+
+    const length = Math.sqrt(input.x * input.x + input.y * input.y);
+    if (length > 0) abilities.facing = { x: input.x / length, y: input.y / length };
+
+    abilities.dashCooldown = Math.max(0, abilities.dashCooldown - ms);
+    if (abilities.dash) {
+      abilities.dash.time -= ms;
+      if (abilities.dash.time <= 0) abilities.dash = null;
+    }
+    this.updateStuns(state, ms);
+
+    const pressed = Boolean(input.confirm) && !abilities.held;
+    abilities.held = Boolean(input.confirm);
+
+    if (pressed) {
+      if (this.isEmpReady(state)) {
+        abilities.charging = 0;
+      } else {
+        this.dash(state);
+      }
+    }
+
+    if (abilities.charging === null) return;
+    if (!input.confirm) {
+      abilities.charging = null;
+      this.dash(state);
+      return;
+    }
+    abilities.charging += ms;
+    if (abilities.charging >= GAME_CONSTANTS.ABILITIES.emp.hold) {
+      abilities.charging = null;
+      this.pulse(state);
+    }
+  },
+
+  // Stuns run down even under the freeze power-up
+  updateStuns(state, ms) {
+    state.enemies.forEach(enemy => {
+      if (enemy.stunned > 0) enemy.stunned = Math.max(0, enemy.stunned - ms);
+    });
+    if (state.boss && state.boss.stunned > 0) state.boss.stunned = Math.max(0, state.boss.stunned - ms);
+  },
+
+  dash(state) {
+    const abilities = state.abilities;
+    if (abilities.dash || abilities.dashCooldown > 0) return false;
+
+    const config = GAME_CONSTANTS.ABILITIES.dash;
+    abilities.dash = { time: config.duration, x: abilities.facing.x, y: abilities.facing.y };
+    abilities.dashCooldown = config.cooldown;
+    GameCore.emit(state, 'dash', { x: state.player.x, y: state.player.y });
+    return true;
+  },
+
+  // Every enemy in range stops and turns harmless for a while; boss shots in range are wiped out
+  pulse(state) {
+    const config = GAME_CONSTANTS.ABILITIES.emp;
+    const player = state.player;
+    const inRange = entity => CoreMath.distance(entity.x, entity.y, player.x, player.y) <= config.radius;
+
+    state.abilities.empCharge = 0;
+    const stunned = state.enemies.filter(inRange);
+    stunned.forEach(enemy => {
+      enemy.stunned = config.stun;
+    });
+    state.projectiles = state.projectiles.filter(projectile => !inRange(projectile));
+
+    const boss = state.boss;
+    if (boss && !boss.defeated && inRange(boss)) {
+      boss.stunned = config.stun;
+      boss.dash = null;
+      stunned.push(boss);
+    }
+
+    console.log(`⚡ EMP: ${stunned.length} stunned`);
+    GameCore.emit(state, 'emp', { x: player.x, y: player.y, radius: config.radius, stunned: stunned.length });
+  },
+
+  // Each GPU collected charges the EMP a step
+  charge(state) {
+    const abilities = state.abilities;
+    if (this.isEmpReady(state)) return;
+    abilities.empCharge++;
+    if (this.isEmpReady(state)) GameCore.emit(state, 'empReady');
+  },
+
+  // A respawn ends a dash and any press being held for the EMP
+  reset(state) {
+    state.abilities.dash = null;
+    state.abilities.charging = null;
+  }
+};
+
+/**
+ * Level System
+ * JSON level format, loader and the built-in rounds. Rounds without a level use random spawns.
+ *
+ * Format (version 1) - positions are centers in pixels, walls are top-left rectangles:
+ * {
+ *   "version": 1,
+ *   "name": "BOOT SECTOR",
+ *   "playerStart": { "x": 400, "y": 300 },
+ *   "walls": [{ "x": 160, "y": 160, "width": 192, "height": 32 }],
+ *   "collectibles": [{ "x": 96, "y": 96 }],
+ *   "enemies": [{ "type": "patrol", "x": 160, "y": 112, "path": [{ "x": 160, "y": 112 }, { "x": 640, "y": 112 }] }],
+ *   "win": { "type": "collectAll" }  // or { "type": "survive", "seconds": 30 } or { "type": "score", "points": 120 }
+ * }
+ */
+const LevelSystem = {
+  // Played in order from round 1; later rounds fall back to random generation
+  builtIn: [
+    {
+      version: 1,
+      name: 'BOOT SECTOR',
+      playerStart: { x: 400, y: 300 },
+      walls: [
+        { x: 160, y: 160, width: 192, height: 32 },
+        { x: 448, y: 160, width: 192, height: 32 },
+        { x: 160, y: 416, width: 192, height: 32 },
+        { x: 448, y: 416, width: 192, height: 32 }
+      ],
+      collectibles: [
+        { x: 96, y: 96 }, { x: 400, y: 96 }, { x: 704, y: 96 },
+        { x: 96, y: 300 }, { x: 256, y: 300 }, { x: 544, y: 300 }, { x: 704, y: 300 },
+        { x: 96, y: 504 }, { x: 400, y: 504 }, { x: 704, y: 504 }
+      ],
+      enemies: [
+        { type: 'patrol', x: 160, y: 112, path: [{ x: 160, y: 112 }, { x: 640, y: 112 }] },
+        { type: 'patrol', x: 640, y: 488, path: [{ x: 640, y: 488 }, { x: 160, y: 488 }] },
+        { type: 'random', x: 640, y: 240 },
+        { type: 'random', x: 160, y: 360 }
+      ],
+      win: { type: 'collectAll' }
+    },
+    {
+      version: 1,
+      name: 'SERVER RACKS',
+      playerStart: { x: 112, y: 300 },
+      walls: [
+        { x: 208, y: 144, width: 32, height: 320 },
+        { x: 384, y: 144, width: 32, height: 320 },
+        { x: 560, y: 144, width: 32, height: 320 }
+      ],
+      collectibles: [
+        { x: 304, y: 176 }, { x: 304, y: 300 }, { x: 304, y: 424 },
+        { x: 480, y: 176 }, { x: 480, y: 300 }, { x: 480, y: 424 },
+        { x: 656, y: 176 }, { x: 656, y: 424 },
+        { x: 400, y: 96 }, { x: 400, y: 512 }
+      ],
+      enemies: [
+        { type: 'patrol', x: 304, y: 128, path: [{ x: 304, y: 128 }, { x: 304, y: 480 }] },
+        { type: 'patrol', x: 480, y: 480, path: [{ x: 480, y: 480 }, { x: 480, y: 128 }] },
+        { type: 'wallHugger', x: 720, y: 560 },
+        { type: 'chaser', x: 704, y: 300 }
+      ],
+      win: { type: 'collectAll' }
+    },
+    {
+      version: 1,
+      name: 'FIREWALL',
+      playerStart: { x: 400, y: 520 },
+      walls: [
+        { x: 240, y: 176, width: 128, height: 32 },
+        { x: 432, y: 176, width: 128, height: 32 },
+        { x: 240, y: 392, width: 128, height: 32 },
+        { x: 432, y: 392, width: 128, height: 32 },
+        { x: 240, y: 208, width: 32, height: 64 },
+        { x: 240, y: 328, width: 32, height: 64 },
+        { x: 528, y: 208, width: 32, height: 64 },
+        { x: 528, y: 328, width: 32, height: 64 }
+      ],
+      collectibles: [
+        { x: 336, y: 264 }, { x: 464, y: 264 }, { x: 400, y: 300 }, { x: 336, y: 336 }, { x: 464, y: 336 },
+        { x: 96, y: 96 }, { x: 704, y: 96 }, { x: 96, y: 504 }, { x: 704, y: 504 }
+      ],
+      enemies: [
+        { type: 'ambusher', x: 96, y: 300 },
+        { type: 'teleporter', x: 704, y: 300 },
+        { type: 'splitter', x: 400, y: 96 }
+      ],
+      win: { type: 'survive', seconds: 30 }
+    },
+    {
+      version: 1,
+      name: 'COOLING LOOP',
+      playerStart: { x: 400, y: 520 },
+      walls: [
+        { x: 128, y: 288, width: 544, height: 32 }
+      ],
+      collectibles: [
+        { x: 96, y: 96 }, { x: 248, y: 96 }, { x: 400, y: 96 }, { x: 552, y: 96 }, { x: 704, y: 96 },
+        { x: 176, y: 200 }, { x: 400, y: 200 }, { x: 624, y: 200 },
+        { x: 176, y: 408 }, { x: 400, y: 408 }, { x: 624, y: 408 },
+        { x: 96, y: 504 }, { x: 248, y: 504 }, { x: 552, y: 504 }, { x: 704, y: 504 }
+      ],
+      enemies: [
+        { type: 'patrol', x: 96, y: 240, path: [{ x: 96, y: 240 }, { x: 704, y: 240 }, { x: 704, y: 368 }, { x: 96, y: 368 }] },
+        { type: 'chaser', x: 704, y: 96 },
+        { type: 'random', x: 96, y: 96 },
+        { type: 'random', x: 704, y: 504 }
+      ],
+      win: { type: 'score', points: 120 }
+    }
+  ],
+
+  // Checks and normalises a level given as an object or JSON text; returns null when it cannot be played.
+  // editing: keep a level the editor is still building, even if it cannot be won yet
+  load(source, editing) {
+    try {
+      const data = typeof source === 'string' ? JSON.parse(source) : source;
+      if (!data || data.version !== GAME_CONSTANTS.LEVEL_VERSION) {
+        console.warn('🗺️ LEVEL: Ignoring level with unknown format');
+        return null;
+      }
+
+      const point = (value) => {
+        if (!value || !Number.isFinite(value.x) || !Number.isFinite(value.y)) return null;
+        return {
+          x: CoreMath.clamp(value.x, 0, GAME_CONSTANTS.WIDTH),
+          y: CoreMath.clamp(value.y, 0, GAME_CONSTANTS.HEIGHT)
+        };
+      };
+      const list = (value) => (Array.isArray(value) ? value : []);
+
+      const level = {
+        version: data.version,
+        name: String(data.name || 'UNTITLED').toUpperCase().slice(0, 24),
+        playerStart: point(data.playerStart) || { x: GAME_CONSTANTS.WIDTH / 2, y: GAME_CONSTANTS.HEIGHT / 2 },
+        walls: list(data.walls)
+          .filter(wall => wall && [wall.x, wall.y, wall.width, wall.height].every(Number.isFinite) && wall.width > 0 && wall.height > 0)
+          .map(wall => ({ x: wall.x, y: wall.y, width: wall.width, height: wall.height })),
+        collectibles: list(data.collectibles).map(point).filter(Boolean),
+        enemies: list(data.enemies).map(spawn => {
+          const position = point(spawn);
+          if (!position) return null;
+
+          let type = spawn.type;
+          if (!EnemySystem.types[type]) {
+            console.warn(`🗺️ LEVEL: Unknown enemy type "${type}", using random`);
+            type = 'random';
+          }
+          return { type: type, x: position.x, y: position.y, path: list(spawn.path).map(point).filter(Boolean) };
+        }).filter(Boolean),
+        win: this.loadWinCondition(data.win)
+      };
+
+      if (editing) return level;
+
+      // A round that cannot be won would never end
+      const reachableScore = level.collectibles.length * GAME_CONSTANTS.SCORE_PER_COLLECTIBLE;
+      // Score rounds are won on GPU points, so they need GPUs too
+      if (level.win.type !== 'survive' && level.collectibles.length === 0) {
+        console.warn(`🗺️ LEVEL: "${level.name}" has nothing to collect`);
+        return null;
+      }
+      if (level.win.type === 'score' && level.win.points > reachableScore) {
+        console.warn(`🗺️ LEVEL: "${level.name}" asks for more points than its GPUs give, capping at ${reachableScore}`);
+        level.win.points = reachableScore;
+      }
+
+      return level;
+    } catch (error) {
+      console.warn('❌ LEVEL: Failed to load level:', error);
+      return null;
+    }
+  },
+
+  loadWinCondition(win) {
+    if (win && win.type === 'survive' && win.seconds > 0) return { type: 'survive', seconds: win.seconds };
+    if (win && win.type === 'score' && win.points > 0) return { type: 'score', points: win.points };
+    return { type: 'collectAll' };
+  },
+
+  getBuiltInLevels() {
+    return this.builtIn.map(level => this.load(level)).filter(Boolean);
+  },
+
+  getLevel(state, round) {
+    return state.levels[round - 1] || null;
+  },
+
+  // Sets up the field for the current round: its level when there is one, random spawns otherwise.
+  // Speed and damage follow the difficulty curve on every round.
+  startRound(state) {
+    const level = this.getLevel(state, state.round);
+    const settings = DifficultySystem.getRoundSettings(state.difficulty, state.round);
+    state.level = level;
+    state.enemySpeed = settings.speed;
+    state.damage = settings.damage;
+    state.boss = null;
+    state.projectiles = [];
+    state.carried = 0;
+    state.roundTime = 0;
+    state.roundScore = 0;
+    state.roundDamaged = false;
+    state.walls = [];
+
+    // Survive and score rounds can end with GPUs still on the field
+    state.collectibles = [];
+
+    if (level) {
+      this.buildLevel(state, level);
+    } else if (BossSystem.isBossRound(state, state.round)) {
+      BossSystem.start(state);
+    } else {
+      this.buildRandom(state, settings);
+    }
+  },
+
+  buildLevel(state, level) {
+    console.log(`🗺️ LEVEL: Round ${state.round} is "${level.name}"`);
+
+    // A designed round replaces the enemies the previous round left on the field
+    state.enemies = [];
+    state.player.x = level.playerStart.x;
+    state.player.y = level.playerStart.y;
+    state.walls = level.walls.map(wall => Object.assign({}, wall));
+
+    level.collectibles.forEach(position => GameCore.spawnCollectible(state, position.x, position.y));
+
+    level.enemies.forEach(spawn => {
+      const enemy = GameCore.spawnEnemy(state, spawn.x, spawn.y, spawn.type);
+      if (spawn.path.length > 0) {
+        enemy.path = spawn.path;
+        enemy.pathIndex = 0;
+      }
+    });
+  },
+
+  // The open-field rounds: the enemies of the last round stay, up to the curve's pack size, and its type mix tops
+  // the pack up. The newest go first - splitter halves are added at the end of the list.
+  buildRandom(state, settings) {
+    if (state.enemies.length > settings.enemies) state.enemies.splice(settings.enemies);
+    const missing = Math.max(0, settings.enemies - state.enemies.length);
+    SpawnSystem.findSpots(state, 'enemy', missing)
+      .forEach(spot => GameCore.spawnEnemy(state, spot.x, spot.y, DifficultySystem.pickEnemyType(settings.types)));
+
+    SpawnSystem.findSpots(state, 'collectible', settings.collectibles)
+      .forEach(spot => GameCore.spawnCollectible(state, spot.x, spot.y));
+  },
+
+  getWinCondition(state) {
+    if (state.boss) return { type: 'boss' };
+    return state.level ? state.level.win : { type: 'collectAll' };
+  },
+
+  // Advances the round once the level's win condition is met; returns true if it did
+  checkWin(state) {
+    const win = this.getWinCondition(state);
+    let won;
+    switch (win.type) {
+      case 'survive': won = state.roundTime >= win.seconds * 1000; break;
+      case 'score': won = state.roundScore >= win.points; break;
+      case 'boss': won = state.boss.defeated; break;
+      default: won = state.collectibles.length === 0; break;
+    }
+
+    if (won) GameCore.advanceRound(state);
+    return won;
+  },
+
+  // Level name and win condition for the HUD; empty on random rounds
+  getObjective(state) {
+    if (state.boss) return `${GAME_CONSTANTS.BOSS.name} - DELIVER GPUS TO ITS CORE (${state.carried} CARRIED)`;
+
+    const level = state.level;
+    if (!level) return '';
+
+    let objective;
+    switch (level.win.type) {
+      case 'survive':
+        objective = `SURVIVE ${Math.max(0, Math.ceil(level.win.seconds - state.roundTime / 1000))}s`;
+        break;
+      case 'score':
+        objective = `SCORE ${state.roundScore}/${level.win.points}`;
+        break;
+      default:
+        objective = `COLLECT ALL GPUS (${state.collectibles.length} LEFT)`;
+        break;
+    }
+    return `${level.name} - ${objective}`;
+  },
+
+  // Pushes an entity out of any wall it overlaps, along the shallower axis; returns true if it touched one
+  keepOutOfWalls(state, entity, hitboxKey) {
+    const hitbox = GAME_CONSTANTS.HITBOXES[hitboxKey];
+    if (!hitbox || state.walls.length === 0) return false;
+
+    const halfWidth = (hitbox.width * Math.abs(entity.scale || 1)) / 2;
+    const halfHeight = (hitbox.height * Math.abs(entity.scale || 1)) / 2;
+    let touched = false;
+
+    state.walls.forEach(wall => {
+      const overlapX = Math.min(entity.x + halfWidth, wall.x + wall.width) - Math.max(entity.x - halfWidth, wall.x);
+      const overlapY = Math.min(entity.y + halfHeight, wall.y + wall.height) - Math.max(entity.y - halfHeight, wall.y);
+      if (overlapX <= 0 || overlapY <= 0) return;
+
+      touched = true;
+      if (overlapX < overlapY) {
+        entity.x += entity.x < wall.x + wall.width / 2 ? -overlapX : overlapX;
+      } else {
+        entity.y += entity.y < wall.y + wall.height / 2 ? -overlapY : overlapY;
+      }
+    });
+    return touched;
+  },
+
+  isBlocked(state, x, y, margin = 0) {
+    return state.walls.some(wall =>
+      x > wall.x - margin && x < wall.x + wall.width + margin &&
+      y > wall.y - margin && y < wall.y + wall.height + margin);
+  }
+};
+
+/**
+ * Spawn System
+ * Picks spots for new enemies, GPUs and power-ups that follow GAME_CONSTANTS.SPAWN_RULES:
+ * inside the zone for their kind, clear of walls, away from the player and apart from each other
+ */
+const SpawnSystem = {
+  // Everything already on the field that a new spawn of this kind keeps its distance from
+  getOccupied(state, kind) {
+    // A respawning player keeps away from enemies (and the boss), which are spawned apart from each other
+    if (kind === 'enemy' || kind === 'respawn') {
+      return state.boss && !state.boss.defeated ? state.enemies.concat([state.boss]) : state.enemies.slice();
+    }
+    return state.collectibles.concat(state.powerUps);
+  },
+
+  // options: player (defaults to the state's player), avoid (defaults to the field), or any SPAWN_RULES value to override.
+  // When no try passes every rule - a crowded field - the spot that broke them the least is used.
+  findSpot(state, kind, options = {}) {
+    const rules = Object.assign({}, GAME_CONSTANTS.SPAWN_RULES[kind], options);
+    const player = options.player !== undefined ? options.player : state.player;
+    const avoid = options.avoid || this.getOccupied(state, kind);
+    const zone = rules.zone;
+    let best = null;
+
+    for (let attempt = 0; attempt < GAME_CONSTANTS.SPAWN_ATTEMPTS; attempt++) {
+      const spot = {
+        x: RandomSystem.between(zone.x, zone.x + zone.width),
+        y: RandomSystem.between(zone.y, zone.y + zone.height)
+      };
+      if (LevelSystem.isBlocked(state, spot.x, spot.y, rules.margin)) continue;
+
+      // 1 or more means the rule is met
+      let fit = Infinity;
+      if (player && rules.minPlayerDistance > 0) {
+        fit = Math.min(fit, CoreMath.distance(spot.x, spot.y, player.x, player.y) / rules.minPlayerDistance);
+      }
+      if (rules.spacing > 0) {
+        avoid.forEach(other => {
+          fit = Math.min(fit, CoreMath.distance(spot.x, spot.y, other.x, other.y) / rules.spacing);
+        });
+      }
+
+      if (fit >= 1) return spot;
+      if (!best || fit > best.fit) best = { x: spot.x, y: spot.y, fit: fit };
+    }
+
+    if (best) return { x: best.x, y: best.y };
+
+    // Every try landed in a wall: the middle of the zone is the last resort
+    return { x: zone.x + zone.width / 2, y: zone.y + zone.height / 2 };
+  },
+
+  // Several spots at once, each also kept apart from the ones picked before it
+  findSpots(state, kind, count, options = {}) {
+    const avoid = (options.avoid || this.getOccupied(state, kind)).slice();
+    const spots = [];
+    for (let i = 0; i < count; i++) {
+      const spot = this.findSpot(state, kind, Object.assign({}, options, { avoid: avoid }));
+      spots.push(spot);
+      avoid.push(spot);
+    }
+    return spots;
+  }
+};
+
+/**
+ * Boss System
+ * The mainframe AI that guards every BOSS_ROUND_INTERVAL-th round: its phases and attacks - projectile spreads,
+ * minions and charging dashes - and the weak point the player feeds carried GPUs into
+ */
+const BossSystem = {
+  // Boss rounds take the slots that have no designed level; play-tests never get one
+  isBossRound(state, round) {
+    return !state.playtest && round % GAME_CONSTANTS.BOSS_ROUND_INTERVAL === 0 && !LevelSystem.getLevel(state, round);
+  },
+
+  // An open field with the boss at home, the player below it and a few GPUs to carry
+  start(state) {
+    const config = GAME_CONSTANTS.BOSS;
+    const encounter = Math.floor(state.round / GAME_CONSTANTS.BOSS_ROUND_INTERVAL);
+    const health = config.health + (encounter - 1) * config.healthPerEncounter;
+    console.log(`👾 BOSS: ${config.name} on round ${state.round} with ${health} health`);
+
+    state.enemies = [];
+    state.player.x = GAME_CONSTANTS.WIDTH / 2;
+    state.player.y = GAME_CONSTANTS.HEIGHT - 100;
+    state.boss = GameCore.createEntity(state, config.position.x, config.position.y, {
+      health: health,
+      maxHealth: health,
+      phase: 0,
+      attackIndex: 0,
+      attackTimer: config.phases[0].interval,
+      swayTime: 0,
+      dash: null, // { stage: 'windup' or 'charge', time, x, y } while dashing
+      stunned: 0, // ms left of an EMP stun
+      defeated: false
+    });
+    this.refillCollectibles(state);
+    GameCore.emit(state, 'bossStart', { name: config.name, health: health });
+  },
+
+  refillCollectibles(state) {
+    const config = GAME_CONSTANTS.BOSS;
+    const missing = Math.max(0, config.collectibles - state.collectibles.length);
+    SpawnSystem.findSpots(state, 'collectible', missing, { zone: config.collectibleZone })
+      .forEach(spot => GameCore.spawnCollectible(state, spot.x, spot.y));
+  },
+
+  // A GPU picked up on a boss round is carried to the core, and another takes its place
+  carry(state) {
+    state.carried++;
+    this.refillCollectibles(state);
+  },
+
+  getWeakPoint(boss) {
+    const offset = GAME_CONSTANTS.BOSS.weakPoint;
+    return { x: boss.x + offset.x, y: boss.y + offset.y };
+  },
+
+  // Which phase the health left puts the boss in
+  getPhase(boss) {
+    const fraction = boss.health / boss.maxHealth;
+    return GAME_CONSTANTS.BOSS.phases.reduce((phase, candidate, index) => (fraction <= candidate.health ? index : phase), 0);
+  },
+
+  // One step of the fight: movement, projectiles and the next attack when its timer runs out
+  update(state, delta) {
+    const boss = state.boss;
+    if (!boss || boss.defeated) return;
+
+    const config = GAME_CONSTANTS.BOSS;
+    const ms = Math.min(delta || 0, GAME_CONSTANTS.MAX_FRAME_DELTA);
+    // An EMP stops the boss where it is, attack clock and all; its shots keep flying
+    if (boss.stunned > 0) {
+      this.moveProjectiles(state, ms);
+      return;
+    }
+    this.moveBoss(boss, state.player, ms);
+    this.moveProjectiles(state, ms);
+
+    // The attack clock waits while a dash is under way
+    if (boss.dash) return;
+    boss.attackTimer -= ms;
+    if (boss.attackTimer > 0) return;
+
+    const phase = config.phases[boss.phase];
+    this.attack(state, boss, phase.attacks[boss.attackIndex % phase.attacks.length]);
+    boss.attackIndex++;
+    boss.attackTimer = phase.interval;
+  },
+
+  moveBoss(boss, player, ms) {
+    const config = GAME_CONSTANTS.BOSS;
+    const seconds = ms / 1000;
+    const dash = boss.dash;
+
+    if (dash) {
+      dash.time -= ms;
+      if (dash.stage === 'windup' && dash.time <= 0) {
+        // Charge at where the player is at the end of the warning
+        const angle = CoreMath.angle(boss.x, boss.y, player.x, player.y);
+        Object.assign(dash, { stage: 'charge', time: config.dash.duration, x: Math.cos(angle), y: Math.sin(angle) });
+      } else if (dash.stage === 'charge') {
+        boss.x += dash.x * config.dash.speed * seconds;
+        boss.y += dash.y * config.dash.speed * seconds;
+        if (dash.time <= 0) boss.dash = null;
+      }
+    } else {
+      // Sway across the home row, heading back to it first after a dash
+      boss.swayTime += seconds;
+      const x = config.position.x + Math.sin(boss.swayTime * config.sway.speed) * config.sway.width;
+      const distance = CoreMath.distance(boss.x, boss.y, x, config.position.y);
+      const step = config.returnSpeed * seconds;
+      if (distance <= step) {
+        boss.x = x;
+        boss.y = config.position.y;
+      } else {
+        EnemySystem.moveTowards(boss, x, config.position.y, step);
+      }
+    }
+
+    const hitbox = GAME_CONSTANTS.HITBOXES.boss;
+    boss.x = CoreMath.clamp(boss.x, hitbox.width / 2, GAME_CONSTANTS.WIDTH - hitbox.width / 2);
+    boss.y = CoreMath.clamp(boss.y, hitbox.height / 2, GAME_CONSTANTS.HEIGHT - hitbox.height / 2);
+  },
+
+  moveProjectiles(state, ms) {
+    const seconds = ms / 1000;
+    state.projectiles = state.projectiles.filter(projectile => {
+      projectile.x += projectile.vx * seconds;
+      projectile.y += projectile.vy * seconds;
+      projectile.time -= ms;
+      return projectile.time > 0 &&
+        projectile.x > 0 && projectile.x < GAME_CONSTANTS.WIDTH &&
+        projectile.y > 0 && projectile.y < GAME_CONSTANTS.HEIGHT;
+    });
+  },
+
+  attack(state, boss, attack) {
+    const config = GAME_CONSTANTS.BOSS;
+    const player = state.player;
+
+    switch (attack) {
+      case 'spread': {
+        // A fan of shots centered on the player
+        const spread = config.spread;
+        const aim = CoreMath.angle(boss.x, boss.y, player.x, player.y);
+        for (let i = 0; i < spread.count; i++) {
+          const angle = aim + (spread.count > 1 ? (i / (spread.count - 1) - 0.5) * spread.arc : 0);
+          state.projectiles.push(GameCore.createEntity(state, boss.x, boss.y, {
+            vx: Math.cos(angle) * spread.speed,
+            vy: Math.sin(angle) * spread.speed,
+            time: spread.lifetime
+          }));
+        }
+        break;
+      }
+      case 'minions': {
+        const count = Math.min(config.minions.count, config.minions.max - state.enemies.length);
+        for (let i = 0; i < count; i++) {
+          const side = i % 2 === 0 ? -1 : 1;
+          GameCore.spawnEnemy(state, boss.x + side * GAME_CONSTANTS.HITBOXES.boss.width, boss.y, config.minions.type);
+        }
+        break;
+      }
+      case 'dash':
+        boss.dash = { stage: 'windup', time: config.dash.windup, x: 0, y: 0 };
+        break;
+    }
+
+    GameCore.emit(state, 'bossAttack', { attack: attack, x: boss.x, y: boss.y });
+  },
+
+  // Feeding the core comes first, then shots and the boss itself hurt like any enemy
+  checkContacts(state) {
+    const boss = state.boss;
+    if (!boss || boss.defeated) return;
+
+    const player = state.player;
+    if (state.carried > 0 && GameCore.hitboxesOverlap(player, 'player', this.getWeakPoint(boss), 'bossCore')) {
+      this.deliver(state);
+      return;
+    }
+
+    if (state.invulnerable || PowerUpSystem.isActive(state, 'shield')) return;
+    const projectile = state.projectiles.find(other => GameCore.hitboxesOverlap(player, 'player', other, 'projectile'));
+    if (projectile) {
+      GameCore.remove(state.projectiles, projectile);
+      GameCore.hitPlayer(state, projectile);
+    } else if (GameCore.hitboxesOverlap(player, 'player', boss, 'boss')) {
+      GameCore.hitPlayer(state, boss);
+    }
+  },
+
+  // Every carried GPU costs the boss a point of health; the player is pushed clear of it
+  deliver(state) {
+    const boss = state.boss;
+    const core = this.getWeakPoint(boss);
+    const damage = Math.min(state.carried, boss.health);
+    boss.health -= damage;
+    state.carried = 0;
+    GameCore.emit(state, 'bossHit', { x: core.x, y: core.y, damage: damage, health: boss.health, maxHealth: boss.maxHealth });
+
+    const angle = CoreMath.angle(boss.x, boss.y, state.player.x, state.player.y);
+    state.knockback = {
+      x: Math.cos(angle) * GAME_CONSTANTS.KNOCKBACK_SPEED,
+      y: Math.sin(angle) * GAME_CONSTANTS.KNOCKBACK_SPEED,
+      time: GAME_CONSTANTS.KNOCKBACK_DURATION
+    };
+    state.invulnerable = true;
+    state.invulnerableTime = GAME_CONSTANTS.INVULNERABILITY_DURATION;
+
+    if (boss.health <= 0) {
+      this.defeat(state);
+      return;
+    }
+
+    const phase = this.getPhase(boss);
+    if (phase !== boss.phase) {
+      boss.phase = phase;
+      boss.attackIndex = 0;
+      boss.attackTimer = GAME_CONSTANTS.BOSS.phases[phase].interval;
+      GameCore.emit(state, 'bossPhase', { phase: phase + 1, x: boss.x, y: boss.y });
+    }
+  },
+
+  // The field is cleared and the bonus paid before the round's own tally
+  defeat(state) {
+    const boss = state.boss;
+    const bonus = GAME_CONSTANTS.BOSS.victoryBonus;
+    boss.defeated = true;
+    boss.dash = null;
+    state.enemies = [];
+    state.projectiles = [];
+    state.collectibles = [];
+    console.log(`👾 BOSS: ${GAME_CONSTANTS.BOSS.name} defeated`);
+
+    ScoreSystem.add(state, bonus);
+    GameCore.emit(state, 'bossDefeated', { x: boss.x, y: boss.y, bonus: bonus });
+    LevelSystem.checkWin(state);
+  }
+};
+
+/**
+ * Score System
+ * Points for pickups with combo chains, the bonuses tallied when a round is cleared and extra lives at score thresholds
+ */
+const ScoreSystem = {
+  // Quick back-to-back pickups chain a combo that multiplies their points, until COMBO_WINDOW passes without one
+  collect(state) {
+    const combo = state.combo;
+    combo.count = combo.time > 0 ? Math.min(combo.count + 1, GAME_CONSTANTS.COMBO_MAX) : 1;
+    combo.time = GAME_CONSTANTS.COMBO_WINDOW;
+
+    const base = GAME_CONSTANTS.SCORE_PER_COLLECTIBLE * PowerUpSystem.getScoreMultiplier(state);
+    const points = base * combo.count;
+    state.roundScore += points;
+    this.add(state, points);
+    return { base: base, combo: combo.count, points: points };
+  },
+
+  update(state, delta) {
+    const combo = state.combo;
+    if (combo.time <= 0) return;
+
+    combo.time -= delta;
+    if (combo.time <= 0) combo.count = 0;
+  },
+
+  // Getting hit breaks the chain
+  breakCombo(state) {
+    state.combo.count = 0;
+    state.combo.time = 0;
+  },
+
+  add(state, points) {
+    state.score += points;
+
+    while (state.score >= state.nextExtraLife) {
+      state.lives++;
+      state.nextExtraLife = this.getNextExtraLife(state.nextExtraLife);
+      GameCore.emit(state, 'extraLife', { lives: state.lives });
+    }
+  },
+
+  // The first extra-life score above a given score: EXTRA_LIFE_SCORES in order, then every EXTRA_LIFE_INTERVAL
+  getNextExtraLife(score) {
+    const thresholds = GAME_CONSTANTS.EXTRA_LIFE_SCORES;
+    const next = thresholds.find(threshold => threshold > score);
+    if (next !== undefined) return next;
+
+    const interval = GAME_CONSTANTS.EXTRA_LIFE_INTERVAL;
+    if (!(interval > 0)) return Infinity;
+    const last = thresholds.length > 0 ? thresholds[thresholds.length - 1] : 0;
+    return last + (Math.floor(Math.max(0, score - last) / interval) + 1) * interval;
+  },
+
+  // Works out and pays the round-clear bonuses: { time, noDamage, health, total }
+  tallyRound(state) {
+    const win = LevelSystem.getWinCondition(state);
+    const secondsUnderPar = Math.max(0, Math.floor((GAME_CONSTANTS.ROUND_PAR_TIME - state.roundTime) / 1000));
+    const bonuses = {
+      time: win.type === 'survive' ? 0 : secondsUnderPar * GAME_CONSTANTS.TIME_BONUS_PER_SECOND,
+      noDamage: state.roundDamaged ? 0 : GAME_CONSTANTS.NO_DAMAGE_BONUS,
+      health: Math.floor(Math.max(0, state.health) * GAME_CONSTANTS.HEALTH_BONUS_PER_POINT)
+    };
+    bonuses.total = bonuses.time + bonuses.noDamage + bonuses.health;
+
+    this.add(state, bonuses.total);
+    return bonuses;
+  }
+};
+
+/**
+ * Game Core
+ * One run as a plain state object, advanced a fixed step at a time by step(state, input, delta).
+ * Whatever the player should see or hear - pickups, hits, new rounds, the end of the run - is queued
+ * in state.events as { type, ...details } for the renderer to play:
+ *   collect { x, y, points, base, combo }, powerUp { powerUp, x, y }, powerUpEnd, damage { x, y },
+ *   lifeLost { x, y, lives }, respawn { x, y }, extraLife { lives },
+ *   bossStart { name, health }, bossAttack { attack, x, y }, bossHit { x, y, damage, health, maxHealth },
+ *   bossPhase { phase, x, y }, bossDefeated { x, y, bonus }, dash { x, y }, afterimage { x, y },
+ *   emp { x, y, radius, stunned }, empReady,
+ *   roundClear { round, time, noDamage, health, total }, newRound { round },
+ *   levelClear (play-tests only), gameOver { x, y }
+ * Randomness comes from RandomSystem, so seed it first for a repeatable run.
+ */
+const GameCore = {
+  // levels: the rounds to play in order, already loaded with LevelSystem.load() (defaults to the built-in set);
+  // rounds past the end are random. playtest: a single level, whose clearing ends the run.
+  // difficulty: a DIFFICULTY_PRESETS key (defaults to DEFAULT_DIFFICULTY).
+  createState(options = {}) {
+    const difficulty = DifficultySystem.resolve(options.difficulty);
+    const firstRound = DifficultySystem.getRoundSettings(difficulty, 1);
+    return {
+      nextId: 1,
+      player: { x: GAME_CONSTANTS.WIDTH / 2, y: GAME_CONSTANTS.HEIGHT / 2, scale: 1, visible: true },
+      enemies: [],
+      collectibles: [],
+      powerUps: [],
+      activePowerUps: {},
+      boss: null, // The boss entity on boss rounds, see BossSystem
+      projectiles: [],
+      carried: 0, // GPUs carried to the boss's core
+      levels: options.levels || LevelSystem.getBuiltInLevels(),
+      level: null,
+      walls: [],
+      round: 1,
+      roundTime: 0,
+      roundScore: 0,
+      roundDamaged: false,
+      tally: null, // The round-clear tally while it is up: { round, time, noDamage, health, total, timeLeft }
+      score: 0,
+      combo: { count: 0, time: 0 },
+      lives: GAME_CONSTANTS.STARTING_LIVES,
+      continues: 0,
+      nextExtraLife: ScoreSystem.getNextExtraLife(0),
+      health: GAME_CONSTANTS.MAX_HEALTH,
+      difficulty: difficulty,
+      enemySpeed: firstRound.speed, // Speed and damage follow the difficulty curve, updated as each round starts
+      damage: firstRound.damage,
+      invulnerable: false,
+      invulnerableTime: 0,
+      knockback: null,
+      abilities: AbilitySystem.createState(),
+      playtest: Boolean(options.playtest),
+      gameOver: false,
+      events: []
+    };
+  },
+
+  // A fresh run with its first round on the field
+  newRun(options) {
+    const state = this.createState(options);
+    LevelSystem.startRound(state);
+    return state;
+  },
+
+  emit(state, type, details) {
+    state.events.push(Object.assign({ type: type }, details));
+  },
+
+  // The events queued since the last call, oldest first
+  takeEvents(state) {
+    const events = state.events;
+    state.events = [];
+    return events;
+  },
+
+  // Every entity has an id, so a renderer can keep one sprite per entity
+  createEntity(state, x, y, fields) {
+    return Object.assign({ id: state.nextId++, x: x, y: y, scale: 1, alpha: 1 }, fields);
+  },
+
+  remove(list, entity) {
+    const index = list.indexOf(entity);
+    if (index >= 0) list.splice(index, 1);
+  },
+
+  createEnemy(state, x, y, type) {
+    const definition = EnemySystem.get(type);
+    const enemy = this.createEntity(state, x, y, {
+      type: EnemySystem.types[type] ? type : 'random',
+      hitboxKey: definition.hitbox,
+      moveTimer: 0,
+      moveDirection: RandomSystem.between(0, 3),
+      blocked: false,
+      stunned: 0 // ms left of an EMP stun
+    });
+    if (definition.init) definition.init(enemy);
+    return enemy;
+  },
+
+  spawnEnemy(state, x, y, type) {
+    const enemy = this.createEnemy(state, x, y, type);
+    state.enemies.push(enemy);
+    return enemy;
+  },
+
+  spawnCollectible(state, x, y) {
+    const collectible = this.createEntity(state, x, y);
+    state.collectibles.push(collectible);
+    return collectible;
+  },
+
+  // Converts a step delta in ms to seconds, clamped so a long hitch cannot teleport anything
+  frameSeconds(delta) {
+    return Math.min(delta || 0, GAME_CONSTANTS.MAX_FRAME_DELTA) / 1000;
+  },
+
+  // One simulation step. input: { x, y, confirm } - x and y from -1 to 1, full speed per axis for keys and d-pad;
+  // confirm is the action button, see AbilitySystem
+  step(state, input, delta) {
+    if (state.gameOver) return;
+
+    // Play holds while the round-clear tally is up
+    if (state.tally) {
+      state.tally.timeLeft -= Math.min(delta || 0, GAME_CONSTANTS.MAX_FRAME_DELTA);
+      if (state.tally.timeLeft <= 0) this.startNextRound(state);
+      return;
+    }
+
+    AbilitySystem.update(state, input, delta);
+
+    // A dash takes over from the stick until it ends
+    const player = state.player;
+    const dash = state.abilities.dash;
+    if (dash) {
+      const distance = GAME_CONSTANTS.ABILITIES.dash.speed * this.frameSeconds(delta);
+      player.x += dash.x * distance;
+      player.y += dash.y * distance;
+    } else {
+      const distance = GAME_CONSTANTS.PLAYER_SPEED * PowerUpSystem.getSpeedMultiplier(state) * this.frameSeconds(delta);
+      player.x += input.x * distance;
+      player.y += input.y * distance;
+    }
+    this.updatePlayerTimers(state, delta);
+    ScoreSystem.update(state, delta);
+
+    // Keep player within bounds
+    player.x = CoreMath.clamp(player.x, GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.PLAYER_SIZE);
+    player.y = CoreMath.clamp(player.y, GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.PLAYER_SIZE);
+    LevelSystem.keepOutOfWalls(state, player, 'player');
+    // One afterimage per step of a dash, so the trail is the same at any frame rate or replay speed
+    if (dash) this.emit(state, 'afterimage', { x: player.x, y: player.y });
+
+    PowerUpSystem.update(state, delta);
+
+    // Survive rounds are won on the clock
+    state.roundTime += Math.min(delta || 0, GAME_CONSTANTS.MAX_FRAME_DELTA);
+    if (LevelSystem.getWinCondition(state).type === 'survive') LevelSystem.checkWin(state);
+
+    this.checkContacts(state);
+
+    if (!PowerUpSystem.isActive(state, 'freeze')) {
+      this.moveEnemies(state, delta);
+      BossSystem.update(state, delta);
+    }
+  },
+
+  // Iterates a copy, splitters add enemies mid-loop; stunned enemies stay put
+  moveEnemies(state, delta) {
+    state.enemies.slice().forEach(enemy => {
+      if (!(enemy.stunned > 0)) this.moveEnemy(state, enemy, delta);
+    });
+  },
+
+  // Runs the enemy's registered behaviour towards the state's player
+  moveEnemy(state, enemy, delta) {
+    const definition = EnemySystem.get(enemy.type);
+
+    definition.move(enemy, {
+      state: state,
+      target: state.player,
+      speed: state.enemySpeed * definition.speed * this.frameSeconds(delta), // Pixels this enemy may cover this step
+      delta: Math.min(delta || 0, GAME_CONSTANTS.MAX_FRAME_DELTA),
+      spawn: (x, y, type) => this.spawnEnemy(state, x, y, type)
+    });
+
+    // Walls of the current level stop enemies; behaviours can react to enemy.blocked next step
+    enemy.blocked = LevelSystem.keepOutOfWalls(state, enemy, enemy.hitboxKey);
+
+    // Keep within bounds
+    enemy.x = CoreMath.clamp(enemy.x, GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.PLAYER_SIZE);
+    enemy.y = CoreMath.clamp(enemy.y, GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.PLAYER_SIZE);
+  },
+
+  // True when the hitboxes of two entities (GAME_CONSTANTS.HITBOXES, centered, scaled with the entity) overlap
+  hitboxesOverlap(a, aKey, b, bKey) {
+    const boxA = GAME_CONSTANTS.HITBOXES[aKey];
+    const boxB = GAME_CONSTANTS.HITBOXES[bKey];
+    if (!boxA || !boxB) return false;
+
+    const reachX = (boxA.width * Math.abs(a.scale || 1) + boxB.width * Math.abs(b.scale || 1)) / 2;
+    const reachY = (boxA.height * Math.abs(a.scale || 1) + boxB.height * Math.abs(b.scale || 1)) / 2;
+    return Math.abs(a.x - b.x) < reachX && Math.abs(a.y - b.y) < reachY;
+  },
+
+  // Pickups first, then enemy contact - none of it once the round is won
+  checkContacts(state) {
+    if (state.gameOver || state.tally) return;
+
+    const player = state.player;
+    const touching = (entity, hitboxKey) => this.hitboxesOverlap(player, 'player', entity, hitboxKey);
+
+    // Collecting the last GPU starts the next round, so check each one is still on the field
+    state.collectibles.slice().forEach(collectible => {
+      if (state.gameOver || state.tally || !state.collectibles.includes(collectible)) return;
+      if (touching(collectible, 'collectible')) this.collectItem(state, collectible);
+    });
+
+    if (state.tally) return;
+    state.powerUps.slice().forEach(powerUp => {
+      if (touching(powerUp, 'collectible')) PowerUpSystem.collect(state, powerUp);
+    });
+    BossSystem.checkContacts(state);
+
+    if (state.gameOver || state.invulnerable || PowerUpSystem.isActive(state, 'shield')) return;
+    const enemy = state.enemies.find(other => !(other.stunned > 0) && touching(other, other.hitboxKey || 'enemy'));
+    if (enemy) this.hitPlayer(state, enemy);
+  },
+
+  // Knockback and the invulnerability window after a hit
+  updatePlayerTimers(state, delta) {
+    const player = state.player;
+
+    if (state.knockback) {
+      const seconds = this.frameSeconds(delta);
+      player.x += state.knockback.x * seconds;
+      player.y += state.knockback.y * seconds;
+      state.knockback.time -= delta;
+      if (state.knockback.time <= 0) state.knockback = null;
+    }
+
+    if (state.invulnerable) {
+      state.invulnerableTime -= delta;
+      if (state.invulnerableTime <= 0) state.invulnerable = false;
+    }
+  },
+
+  collectItem(state, collectible) {
+    this.remove(state.collectibles, collectible);
+    const score = ScoreSystem.collect(state);
+    this.emit(state, 'collect', Object.assign({ x: collectible.x, y: collectible.y }, score));
+    AbilitySystem.charge(state);
+    if (state.boss) BossSystem.carry(state);
+
+    // The round ends when its win condition is met (all GPUs collected, unless the level says otherwise)
+    if (!LevelSystem.checkWin(state)) {
+      PowerUpSystem.trySpawn(state);
+    }
+  },
+
+  advanceRound(state) {
+    // A play-test is a single level: clearing it ends the run
+    if (state.playtest) {
+      state.gameOver = true;
+      this.emit(state, 'levelClear');
+      return;
+    }
+
+    // Pay out the round's bonuses; the next round starts once the tally has been up for ROUND_TALLY_DURATION
+    const bonuses = ScoreSystem.tallyRound(state);
+    state.tally = Object.assign({ round: state.round, timeLeft: GAME_CONSTANTS.ROUND_TALLY_DURATION }, bonuses);
+    this.emit(state, 'roundClear', Object.assign({ round: state.round }, bonuses));
+  },
+
+  startNextRound(state) {
+    state.tally = null;
+    state.round++;
+    this.emit(state, 'newRound', { round: state.round });
+
+    // Next level, a boss round, or a random round with the pack topped up or cut back to the difficulty curve's size
+    LevelSystem.startRound(state);
+  },
+
+  hitPlayer(state, enemy) {
+    const player = state.player;
+
+    state.health -= state.damage;
+    state.roundDamaged = true;
+    ScoreSystem.breakCombo(state);
+    this.emit(state, 'damage', { x: player.x, y: player.y });
+
+    if (state.health <= 0) {
+      this.loseLife(state);
+      return;
+    }
+
+    // Knock the player away from whatever hit them, then ignore contact for a moment
+    const angle = CoreMath.angle(enemy.x, enemy.y, player.x, player.y);
+    state.knockback = {
+      x: Math.cos(angle) * GAME_CONSTANTS.KNOCKBACK_SPEED,
+      y: Math.sin(angle) * GAME_CONSTANTS.KNOCKBACK_SPEED,
+      time: GAME_CONSTANTS.KNOCKBACK_DURATION
+    };
+    state.invulnerable = true;
+    state.invulnerableTime = GAME_CONSTANTS.INVULNERABILITY_DURATION;
+  },
+
+  // Running out of health costs a life; the next one starts somewhere safe on the same round
+  loseLife(state) {
+    const player = state.player;
+    state.lives--;
+    this.emit(state, 'lifeLost', { x: player.x, y: player.y, lives: state.lives });
+
+    if (state.lives <= 0) {
+      this.triggerGameOver(state);
+      return;
+    }
+    this.respawn(state);
+  },
+
+  respawn(state) {
+    const player = state.player;
+    const spot = SpawnSystem.findSpot(state, 'respawn', { player: null });
+    player.x = spot.x;
+    player.y = spot.y;
+    state.health = GAME_CONSTANTS.MAX_HEALTH;
+    state.knockback = null;
+    AbilitySystem.reset(state);
+    state.invulnerable = true;
+    state.invulnerableTime = GAME_CONSTANTS.RESPAWN_INVULNERABILITY;
+    this.emit(state, 'respawn', { x: player.x, y: player.y });
+  },
+
+  // The arcade continue after the last life: a full set of lives on the same round, and the score back to zero
+  continueRun(state) {
+    state.gameOver = false;
+    state.continues++;
+    state.lives = GAME_CONSTANTS.STARTING_LIVES;
+    state.score = 0;
+    state.nextExtraLife = ScoreSystem.getNextExtraLife(0);
+    ScoreSystem.breakCombo(state);
+    this.respawn(state);
+  },
+
+  triggerGameOver(state) {
+    state.gameOver = true;
+    this.emit(state, 'gameOver', { x: state.player.x, y: state.player.y });
+  }
+};
+
+// The browser shares these with game.js as globals; Node (tests, tools) gets them from require('./core.js')
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GAME_CONSTANTS, CoreMath, RandomSystem, EnemySystem, PowerUpSystem, AbilitySystem, DifficultySystem, LevelSystem, SpawnSystem, BossSystem, ScoreSystem, GameCore };
+}
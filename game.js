@@ -2,62 +2,47 @@
  * Retro Arcade Adventure Game
  * A Phaser.js game with retro-style graphics and gameplay
  * Refactored for better organization and maintainability
+ * Screens, rendering, audio and input - the rules of play live in core.js
  */
 
-// Game constants
-const GAME_CONSTANTS = {
-  WIDTH: 800,
-  HEIGHT: 600,
-  PLAYER_SPEED: 5,
-  ENEMY_SPEED: 4,
-  ENEMY_COUNT: 5,
-  COLLECTIBLE_COUNT: 10,
-  PLAYER_SIZE: 32,
-  ENEMY_SIZE: 48,
-  COLLECTIBLE_SIZE: 32,
-  SCORE_PER_COLLECTIBLE: 10,
-  DAMAGE_PER_ENEMY: 10,
-  MAX_HEALTH: 100,
-  BOUNDS_PADDING: 16,
-  ENEMY_TYPES: ['random', 'chaser', 'patrol']
-};
-
-const config = {
-  type: Phaser.AUTO,
-  width: GAME_CONSTANTS.WIDTH,
-  height: GAME_CONSTANTS.HEIGHT,
-  parent: 'game-container',
-  scene: {
-    preload: preload,
-    create: create,
-    update: update
-  }
-};
-
-const game = new Phaser.Game(config);
-
 // Game state management
 const gameState = {
-  player: null,
-  cursors: null,
-  enemies: null,
-  collectibles: null,
-  score: 0,
+  sim: null, // The run itself, a GameCore state
+  powerUpText: null,
+  objectiveText: null,
   scoreText: null,
-  health: GAME_CONSTANTS.MAX_HEALTH,
   healthText: null,
-  round: 1,
+  livesText: null,
   roundText: null,
-  enemySpeed: GAME_CONSTANTS.ENEMY_SPEED,
-  enemyTypes: GAME_CONSTANTS.ENEMY_TYPES,
+  bossBar: null, // { frame, fill, label } - shown while a boss round's boss is up
+  abilityMeters: null, // { dash, emp } - GameFactory.createMeter bars for the action button's abilities
   introComplete: false,
   introElements: [],
-  introMusicInterval: null,
-  gameOver: false,
+  paused: false,
   audioContext: null,
   isAudioInitialized: false,
   isAudioUnlocked: false,
-  escapePressed: false
+  isAudioPaused: false,
+  mixer: null, // Gain buses built on the AudioContext: { master, music, sfx, limiter }
+  volume: { master: 1, music: 1, sfx: 1 },
+  muted: false,
+  initialsEntry: null,
+  credits: 0,
+  freePlay: false,
+  difficulty: GAME_CONSTANTS.DEFAULT_DIFFICULTY, // DIFFICULTY_PRESETS key for the next run, picked on the title screen
+  lastInputTime: 0,
+  attractActive: false,
+  attractPageIndex: -1,
+  attractElements: [],
+  attractTimer: null,
+  attractDemo: null,
+  creditText: null,
+  titleActive: false,
+  titleElements: [],
+  titleStartHandler: null,
+  titleDifficultyHandlers: null,
+  seedParam: null,
+  seed: null
 };
 
 /**
@@ -72,6 +57,7 @@ const AudioSystem = {
         gameState.audioContext = new (window.AudioContext || window.webkitAudioContext)();
         gameState.isAudioInitialized = true;
         console.log(`🎵 AUDIO: AudioContext created with state: ${gameState.audioContext.state}`);
+        this.createMixer();
       }
 
       if (gameState.audioContext.state === 'suspended') {
@@ -129,6 +115,13 @@ const AudioSystem = {
       return; // Skip audio if not unlocked to prevent loud bursts
     }
 
+    if (gameState.isAudioPaused) {
+      console.log('⏸️ AUDIO: Game paused, skipping beep');
+      return; // The clock is frozen - a beep now would pile up and fire on resume
+    }
+
+    if (this.getBusLevel('sfx') <= 0) return; // Muted or turned all the way down
+
     if (!gameState.isAudioInitialized) {
       console.log('🔊 AUDIO: Initializing audio context...');
       this.init();
@@ -147,15 +140,11 @@ const AudioSystem = {
       const gainNode = gameState.audioContext.createGain();
 
       oscillator.connect(gainNode);
-      gainNode.connect(gameState.audioContext.destination);
+      gainNode.connect(gameState.mixer.sfx);
 
       oscillator.type = type;
       oscillator.frequency.setValueAtTime(frequency, currentTime);
 
-      // DEBUG: Check current gain levels
-      const activeNodes = gameState.audioContext.destination.numberOfInputs || 0;
-      console.log(`🔗 AUDIO: Active audio nodes: ${activeNodes}, Target volume: ${volume}`);
-
       gainNode.gain.setValueAtTime(0, currentTime);
       gainNode.gain.linearRampToValueAtTime(volume, currentTime + 0.01);
       gainNode.gain.exponentialRampToValueAtTime(0.001, currentTime + duration);
@@ -169,125 +158,1064 @@ const AudioSystem = {
     }
   },
 
+  // Pausing freezes the audio clock, so notes already scheduled on it hold until resume
+  suspend() {
+    gameState.isAudioPaused = true;
+
+    if (gameState.audioContext && gameState.audioContext.state === 'running') {
+      gameState.audioContext.suspend().then(() => {
+        console.log('⏸️ AUDIO: AudioContext suspended');
+      }).catch(error => {
+        console.warn('❌ AUDIO: Failed to suspend audio context:', error);
+      });
+    }
+  },
+
+  resume() {
+    gameState.isAudioPaused = false;
+
+    if (gameState.audioContext && gameState.isAudioUnlocked && gameState.audioContext.state === 'suspended') {
+      gameState.audioContext.resume().then(() => {
+        console.log('▶️ AUDIO: AudioContext resumed');
+      }).catch(error => {
+        console.warn('❌ AUDIO: Failed to resume audio context:', error);
+      });
+    }
+  },
+
+  // Sound effects and music each have a gain bus feeding the master bus, which ends in a limiter
+  createMixer() {
+    const context = gameState.audioContext;
+    const limiter = context.createDynamicsCompressor();
+    Object.keys(GAME_CONSTANTS.MIXER_COMPRESSOR).forEach(name => {
+      limiter[name].setValueAtTime(GAME_CONSTANTS.MIXER_COMPRESSOR[name], context.currentTime);
+    });
+    limiter.connect(context.destination);
+
+    const master = context.createGain();
+    master.connect(limiter);
+    const music = context.createGain();
+    music.connect(master);
+    const sfx = context.createGain();
+    sfx.connect(master);
+
+    gameState.mixer = { master, music, sfx, limiter };
+    this.applyVolume();
+    console.log('🎚️ AUDIO: Mixer ready');
+  },
+
+  // How loud a bus ends up at the speakers, master volume and mute included
+  getBusLevel(bus) {
+    const master = gameState.muted ? 0 : gameState.volume.master;
+    if (bus === 'master') return master;
+    return master * gameState.volume[bus] * (bus === 'music' ? GAME_CONSTANTS.MUSIC_VOLUME : 1);
+  },
+
+  applyVolume() {
+    const mixer = gameState.mixer;
+    if (!mixer) return;
+
+    const now = gameState.audioContext.currentTime;
+    const fade = GAME_CONSTANTS.MIXER_FADE;
+    mixer.master.gain.setTargetAtTime(gameState.muted ? 0 : gameState.volume.master, now, fade);
+    mixer.music.gain.setTargetAtTime(gameState.volume.music * GAME_CONSTANTS.MUSIC_VOLUME, now, fade);
+    mixer.sfx.gain.setTargetAtTime(gameState.volume.sfx, now, fade);
+  },
+
+  loadSettings() {
+    const settings = { volume: { master: 1, music: 1, sfx: 1 }, muted: false };
+
+    try {
+      const raw = window.localStorage.getItem(GAME_CONSTANTS.AUDIO_STORAGE_KEY);
+      if (!raw) {
+        // Carry over the master volume saved before there was a mixer
+        const legacy = parseFloat(window.localStorage.getItem(GAME_CONSTANTS.VOLUME_STORAGE_KEY));
+        if (Number.isFinite(legacy)) settings.volume.master = Phaser.Math.Clamp(legacy, 0, 1);
+        return settings;
+      }
+
+      const data = JSON.parse(raw);
+      if (!data || data.version !== GAME_CONSTANTS.AUDIO_VERSION || !data.volume) {
+        console.warn('🔊 AUDIO: Ignoring stored audio settings with unknown format');
+        return settings;
+      }
+
+      Object.keys(settings.volume).forEach(bus => {
+        const stored = Number(data.volume[bus]);
+        if (Number.isFinite(stored)) settings.volume[bus] = Phaser.Math.Clamp(stored, 0, 1);
+      });
+      settings.muted = data.muted === true;
+    } catch (error) {
+      console.warn('❌ AUDIO: Failed to load audio settings:', error);
+    }
+
+    return settings;
+  },
+
+  saveSettings() {
+    try {
+      window.localStorage.setItem(GAME_CONSTANTS.AUDIO_STORAGE_KEY, JSON.stringify({
+        version: GAME_CONSTANTS.AUDIO_VERSION,
+        volume: gameState.volume,
+        muted: gameState.muted
+      }));
+    } catch (error) {
+      console.warn('❌ AUDIO: Failed to save audio settings:', error);
+    }
+  },
+
+  // bus is 'master', 'music' or 'sfx'
+  setVolume(bus, volume) {
+    const steps = GAME_CONSTANTS.VOLUME_STEPS;
+    gameState.volume[bus] = Phaser.Math.Clamp(Math.round(volume * steps) / steps, 0, 1);
+    this.saveSettings();
+    this.applyVolume();
+    console.log(`🔊 AUDIO: ${bus} volume ${Math.round(gameState.volume[bus] * 100)}%`);
+  },
+
+  // The mute key works on every screen; the scene, if given, shows which way it went
+  toggleMute(scene) {
+    gameState.muted = !gameState.muted;
+    this.saveSettings();
+    this.applyVolume();
+    console.log(`🔇 AUDIO: Sound ${gameState.muted ? 'muted' : 'unmuted'}`);
+
+    if (scene) {
+      const label = scene.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT - 48, gameState.muted ? 'SOUND OFF' : 'SOUND ON', {
+        fontSize: '10px',
+        fill: '#ffff00',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5).setDepth(1000);
+      scene.tweens.add({
+        targets: label,
+        alpha: 0,
+        delay: 800,
+        duration: 400,
+        onComplete: () => label.destroy()
+      });
+    }
+    this.createBeep(700, 0.08, 'square', 0.2);
+  },
+
   playCollectSound() {
-    this.createBeep(800, 0.1, 'square', 0.15);
-    setTimeout(() => this.createBeep(1000, 0.1, 'square', 0.1), 50);
+    SfxSystem.play('collect');
   },
 
   playDamageSound() {
-    this.createBeep(400, 0.2, 'sawtooth', 0.2);
-    setTimeout(() => this.createBeep(200, 0.3, 'sawtooth', 0.15), 100);
+    SfxSystem.play('damage');
   },
 
+  // C5, E5, G5, C6
   playStartSound() {
-    const melody = [523, 659, 784, 1047]; // C5, E5, G5, C6
-    melody.forEach((freq, index) => {
-      setTimeout(() => this.createBeep(freq, 0.15, 'square', 0.2), index * 150);
-    });
+    SfxSystem.play('start');
   },
 
+  // C5, A4, F4, D4
   playGameOverSound() {
-    const melody = [523, 440, 349, 294]; // C5, A4, F4, D4
-    melody.forEach((freq, index) => {
-      setTimeout(() => this.createBeep(freq, 0.2, 'sawtooth', 0.25), index * 200);
-    });
+    SfxSystem.play('gameOver');
   },
 
   playNewRoundSound() {
-    this.createBeep(300, 0.2, 'square', 0.2);
-    setTimeout(() => this.createBeep(400, 0.2, 'square', 0.15), 150);
-    setTimeout(() => this.createBeep(500, 0.3, 'square', 0.1), 300);
+    SfxSystem.play('newRound');
+  },
+
+  playExtraLifeSound() {
+    SfxSystem.play('extraLife');
   },
 
-  startIntroMusic() {
-    console.log('🎵 AUDIO: Starting enhanced 80s intro background music');
+  playLifeLostSound() {
+    SfxSystem.play('lifeLost');
+  },
 
-    if (!gameState.isAudioUnlocked) {
-      console.log('🔒 AUDIO: Audio not unlocked yet, delaying intro music start');
-      // Retry in 100ms until unlocked
-      setTimeout(() => this.startIntroMusic(), 100);
+  // The boss round's own sting, over the round's music
+  playBossSting() {
+    SfxSystem.play('bossSting');
+  },
+
+  playBossAttackSound(attack) {
+    const presets = { spread: 'bossSpread', minions: 'bossMinions', dash: 'bossDash' };
+    if (presets[attack]) SfxSystem.play(presets[attack]);
+  },
+
+  playBossHitSound() {
+    SfxSystem.play('bossHit');
+  },
+
+  playBossVictorySound() {
+    SfxSystem.play('bossVictory');
+  },
+
+  playDashSound() {
+    SfxSystem.play('dash');
+  },
+
+  playEmpSound() {
+    SfxSystem.play('emp');
+  },
+
+  playEmpReadySound() {
+    SfxSystem.play('empReady');
+  },
+
+  // Rising arpeggio from the power-up's own pitch
+  playPowerUpSound(pitch = 660) {
+    [1, 1.25, 1.5, 2].forEach((ratio, index) => {
+      setTimeout(() => this.createBeep(pitch * ratio, 0.08, 'square', 0.18), index * 60);
+    });
+  },
+
+  playPowerUpEndSound() {
+    this.createBeep(600, 0.1, 'triangle', 0.15);
+    setTimeout(() => this.createBeep(400, 0.15, 'triangle', 0.12), 90);
+  },
+
+  playCoinSound() {
+    this.createBeep(988, 0.08, 'square', 0.2); // B5
+    setTimeout(() => this.createBeep(1319, 0.25, 'square', 0.2), 80); // E6
+  }
+};
+
+/**
+ * Sfx System
+ * sfxr-style synthesizer for sound effects: pulse waves with a duty cycle, white and periodic noise,
+ * pitch slides, vibrato and ADSR envelopes, all scheduled on the audio clock.
+ *
+ * Preset format (GAME_CONSTANTS.SOUND_PRESETS) - a voice, then the notes played with it:
+ * {
+ *   "voice": {
+ *     "wave": "pulse",          // square, pulse, triangle, sawtooth, sine, noise or periodicNoise
+ *     "duty": 0.25,             // pulse only: the part of each cycle that is high
+ *     "frequency": 800,         // Hz; for noise, how often the noise changes value
+ *     "slide": -12,             // semitones the pitch slides over the whole sound
+ *     "vibrato": { "depth": 0.5, "rate": 8 },  // depth in semitones, rate in Hz
+ *     "volume": 0.15,
+ *     "envelope": { "attack": 0.005, "decay": 0.04, "sustain": 0.6, "hold": 0.02, "release": 0.04 }
+ *   },                          // seconds, except sustain: the level held after the decay, 0 to 1
+ *   "notes": [{ "pitch": 0 }, { "pitch": 4, "delay": 0.05, "volume": 0.1 }]
+ * }
+ * Each note starts delay seconds in, pitch semitones from the voice's frequency, and any other voice
+ * field it gives replaces the voice's for that note (envelope and vibrato field by field).
+ */
+const SfxSystem = {
+  defaults: {
+    wave: 'square',
+    duty: 0.5,
+    frequency: 440,
+    slide: 0,
+    vibrato: null,
+    volume: 0.15,
+    envelope: { attack: 0.01, decay: 0.05, sustain: 0.5, hold: 0.05, release: 0.1 }
+  },
+
+  noiseClock: 1000, // Noise buffers change value this often per second at playback rate 1
+  noiseBuffers: {},
+  pulseWaves: {},
+
+  // Plays a preset by name, or a preset object as the sound lab does
+  play(preset) {
+    if (typeof preset === 'string') {
+      const name = preset;
+      preset = GAME_CONSTANTS.SOUND_PRESETS[name];
+      if (!preset) {
+        console.warn(`❌ SFX: Unknown preset "${name}"`);
+        return;
+      }
+    }
+
+    // Same rules as AudioSystem.createBeep: nothing before unlock, while paused or with the sound turned down
+    if (!gameState.isAudioUnlocked || gameState.isAudioPaused || AudioSystem.getBusLevel('sfx') <= 0) return;
+    if (!gameState.isAudioInitialized) AudioSystem.init();
+    if (!gameState.isAudioInitialized) return;
+
+    try {
+      const start = gameState.audioContext.currentTime;
+      (preset.notes || [{}]).forEach(note => {
+        this.playVoice(this.getVoice(preset, note), start + (note.delay || 0));
+      });
+    } catch (error) {
+      console.warn('❌ SFX: Playback failed:', error);
+    }
+  },
+
+  getVoice(preset, note) {
+    const base = preset.voice || {};
+    const voice = Object.assign({}, this.defaults, base, note);
+    voice.envelope = Object.assign({}, this.defaults.envelope, base.envelope, note.envelope);
+    voice.vibrato = base.vibrato || note.vibrato ? Object.assign({}, base.vibrato, note.vibrato) : null;
+    voice.frequency *= Math.pow(2, (note.pitch || 0) / 12);
+    return voice;
+  },
+
+  playVoice(voice, time) {
+    const context = gameState.audioContext;
+    const { attack, decay, sustain, hold, release } = voice.envelope;
+    const length = attack + decay + hold + release;
+
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime(voice.volume, time + attack);
+    gain.gain.linearRampToValueAtTime(voice.volume * sustain, time + attack + decay);
+    gain.gain.setValueAtTime(voice.volume * sustain, time + attack + decay + hold);
+    gain.gain.linearRampToValueAtTime(0, time + length);
+    gain.connect(gameState.mixer.sfx);
+
+    // Oscillators are pitched by frequency; noise by how fast its buffer plays
+    let source;
+    let pitch;
+    let value;
+    if (voice.wave === 'noise' || voice.wave === 'periodicNoise') {
+      source = context.createBufferSource();
+      source.buffer = this.getNoise(voice.wave);
+      source.loop = true;
+      pitch = source.playbackRate;
+      value = voice.frequency / this.noiseClock;
+    } else {
+      source = context.createOscillator();
+      if (voice.wave === 'pulse') {
+        source.setPeriodicWave(this.getPulseWave(voice.duty));
+      } else {
+        source.type = voice.wave;
+      }
+      pitch = source.frequency;
+      value = voice.frequency;
+    }
+
+    pitch.setValueAtTime(value, time);
+    if (voice.slide) {
+      pitch.exponentialRampToValueAtTime(value * Math.pow(2, voice.slide / 12), time + length);
+    }
+
+    if (voice.vibrato && voice.vibrato.depth > 0 && voice.vibrato.rate > 0) {
+      const lfo = context.createOscillator();
+      const depth = context.createGain();
+      lfo.frequency.setValueAtTime(voice.vibrato.rate, time);
+      depth.gain.setValueAtTime(value * (Math.pow(2, voice.vibrato.depth / 12) - 1), time);
+      lfo.connect(depth);
+      depth.connect(pitch);
+      lfo.start(time);
+      lfo.stop(time + length);
+    }
+
+    source.connect(gain);
+    source.start(time);
+    source.stop(time + length);
+  },
+
+  // A pulse wave from its Fourier series, built once per duty cycle
+  getPulseWave(duty) {
+    const key = duty.toFixed(3);
+    if (!this.pulseWaves[key]) {
+      const harmonics = 64;
+      const real = new Float32Array(harmonics);
+      const imag = new Float32Array(harmonics);
+      for (let n = 1; n < harmonics; n++) {
+        real[n] = (2 / (n * Math.PI)) * Math.sin(2 * Math.PI * n * duty);
+        imag[n] = (2 / (n * Math.PI)) * (1 - Math.cos(2 * Math.PI * n * duty));
+      }
+      this.pulseWaves[key] = gameState.audioContext.createPeriodicWave(real, imag);
+    }
+    return this.pulseWaves[key];
+  },
+
+  // Noise from a 15-bit shift register, as on 8-bit sound chips: the long mode is white noise,
+  // the short mode repeats every 93 values for a metallic, pitched buzz
+  getNoise(wave) {
+    if (!this.noiseBuffers[wave]) {
+      const context = gameState.audioContext;
+      const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+      const data = buffer.getChannelData(0);
+      const samplesPerValue = Math.max(1, Math.round(context.sampleRate / this.noiseClock));
+      const tap = wave === 'periodicNoise' ? 6 : 1;
+      let register = 1;
+      let value = 0;
+
+      for (let i = 0; i < data.length; i++) {
+        if (i % samplesPerValue === 0) {
+          const feedback = (register ^ (register >> tap)) & 1;
+          register = (register >> 1) | (feedback << 14);
+          value = register & 1 ? 1 : -1;
+        }
+        data[i] = value;
+      }
+      this.noiseBuffers[wave] = buffer;
+    }
+    return this.noiseBuffers[wave];
+  },
+
+  // What the sound lab can tweak on a preset's voice, and how far LEFT/RIGHT moves it
+  labParams: [
+    { key: 'wave', label: 'WAVE', options: ['square', 'pulse', 'triangle', 'sawtooth', 'sine', 'noise', 'periodicNoise'] },
+    { key: 'duty', label: 'DUTY', step: 0.125, min: 0.125, max: 0.875 },
+    { key: 'frequency', label: 'FREQUENCY', step: 20, min: 20, max: 8000 },
+    { key: 'slide', label: 'SLIDE', step: 1, min: -48, max: 48 },
+    { key: 'vibrato.depth', label: 'VIBRATO DEPTH', step: 0.25, min: 0, max: 12 },
+    { key: 'vibrato.rate', label: 'VIBRATO RATE', step: 1, min: 0, max: 40 },
+    { key: 'envelope.attack', label: 'ATTACK', step: 0.005, min: 0, max: 1 },
+    { key: 'envelope.decay', label: 'DECAY', step: 0.01, min: 0, max: 1 },
+    { key: 'envelope.sustain', label: 'SUSTAIN', step: 0.1, min: 0, max: 1 },
+    { key: 'envelope.hold', label: 'HOLD', step: 0.01, min: 0, max: 2 },
+    { key: 'envelope.release', label: 'RELEASE', step: 0.01, min: 0, max: 2 },
+    { key: 'volume', label: 'VOLUME', step: 0.01, min: 0, max: 0.5 }
+  ]
+};
+
+/**
+ * Music System
+ * Chiptune sequencer: tracks are patterns of notes per channel, queued a little ahead on the
+ * AudioContext clock so timing never depends on frame rate or timers.
+ *
+ * Track format - each pattern channel is a string with one token per step:
+ * {
+ *   "tempo": 140,               // beats per minute
+ *   "stepsPerBeat": 4,          // 4 makes every step a sixteenth note
+ *   "loop": true,               // false plays the order once and stops
+ *   "intensityTempo": 0.15,     // extra tempo at full intensity (0.15 = 15% faster)
+ *   "channels": {
+ *     "bass": { "wave": "triangle", "volume": 0.3 },
+ *     "lead": { "wave": "square", "volume": 0.1, "intensity": 0.1 },  // only plays from that intensity up
+ *     "arp": { "wave": "square", "volume": 0.05, "arp": true },
+ *     "drums": { "drums": true, "volume": 0.2 }
+ *   },
+ *   "patterns": { "A": { "bass": "A1 . A2 . A1 - - .", "arp": "A3min - - - - - - -", "drums": "k . h . s . h ." } },
+ *   "order": ["A", "A", "B"]
+ * }
+ * Tokens: notes like C4, F#3 or Bb2, "-" holds the note before it and "." rests.
+ * Arp channels cycle through a chord: A3min, C4maj, G3dom7 (see chords); a bare note bounces octaves.
+ * Drum channels play k (kick), s (snare) and h (hi-hat).
+ */
+const MusicSystem = {
+  chords: {
+    maj: [0, 4, 7],
+    min: [0, 3, 7],
+    dim: [0, 3, 6],
+    sus4: [0, 5, 7],
+    dom7: [0, 4, 7, 10],
+    maj7: [0, 4, 7, 11],
+    min7: [0, 3, 7, 10]
+  },
+
+  // The kick is a triangle falling in pitch; snare and hi-hat are filtered noise
+  drums: {
+    k: { pitch: 150, drop: 40, length: 0.15 },
+    s: { filter: 1200, length: 0.15 },
+    h: { filter: 7000, length: 0.05 }
+  },
+
+  tracks: {
+    // C minor synthwave for the title and attract screens
+    title: {
+      tempo: 112,
+      stepsPerBeat: 4,
+      loop: true,
+      channels: {
+        bass: { wave: 'sawtooth', volume: 0.12 },
+        lead: { wave: 'square', volume: 0.08 },
+        arp: { wave: 'triangle', volume: 0.1, arp: true },
+        drums: { drums: true, volume: 0.18 }
+      },
+      patterns: {
+        cm: {
+          bass: 'C2 . C3 . C2 . C3 . C2 . C3 . C2 . C3 .',
+          lead: 'G4 - - - Eb5 - - - D5 - C5 - D5 - - -',
+          arp: 'C4min - - - - - - - - - - - - - - -',
+          drums: 'k . h . s . h . k . h . s . h .'
+        },
+        ab: {
+          bass: 'Ab1 . Ab2 . Ab1 . Ab2 . Ab1 . Ab2 . Ab1 . Ab2 .',
+          lead: 'C5 - - - Ab4 - - - C5 - Eb5 - - - - -',
+          arp: 'Ab3maj - - - - - - - - - - - - - - -',
+          drums: 'k . h . s . h . k . h . s . h .'
+        },
+        eb: {
+          bass: 'Eb2 . Eb3 . Eb2 . Eb3 . Eb2 . Eb3 . Eb2 . Eb3 .',
+          lead: 'Bb4 - - - G4 - - - Bb4 - Eb5 - G5 - - -',
+          arp: 'Eb4maj - - - - - - - - - - - - - - -',
+          drums: 'k . h . s . h . k . h . s . h .'
+        },
+        bb: {
+          bass: 'Bb1 . Bb2 . Bb1 . Bb2 . Bb1 . Bb2 . Bb1 . Bb2 .',
+          lead: 'F5 - - - D5 - - - Bb4 - - - D5 - - -',
+          arp: 'Bb3maj - - - - - - - - - - - - - - -',
+          drums: 'k . h . s . h . k . h h s . s s'
+        }
+      },
+      order: ['cm', 'ab', 'eb', 'bb']
+    },
+
+    // A minor driver for the first rounds; the lead comes in from round 2
+    gameplay: {
+      tempo: 140,
+      stepsPerBeat: 4,
+      loop: true,
+      intensityTempo: 0.1,
+      channels: {
+        bass: { wave: 'triangle', volume: 0.3 },
+        lead: { wave: 'square', volume: 0.08, intensity: 0.1 },
+        arp: { wave: 'square', volume: 0.04, arp: true },
+        drums: { drums: true, volume: 0.18 }
+      },
+      patterns: {
+        am: {
+          bass: 'A1 . A2 . A1 A1 A2 . A1 . A2 . A1 A1 A2 .',
+          lead: 'A4 - C5 - E5 - A5 - G5 - E5 - C5 - D5 -',
+          arp: 'A3min - - - - - - - - - - - - - - -',
+          drums: 'k . h . s . h k k . h . s . h h'
+        },
+        f: {
+          bass: 'F1 . F2 . F1 F1 F2 . F1 . F2 . F1 F1 F2 .',
+          lead: 'C5 - - - A4 - C5 - F5 - E5 - C5 - A4 -',
+          arp: 'F3maj - - - - - - - - - - - - - - -',
+          drums: 'k . h . s . h k k . h . s . h h'
+        },
+        c: {
+          bass: 'C2 . C3 . C2 C2 C3 . C2 . C3 . C2 C2 C3 .',
+          lead: 'G4 - C5 - E5 - G5 - E5 - C5 - G4 - C5 -',
+          arp: 'C4maj - - - - - - - - - - - - - - -',
+          drums: 'k . h . s . h k k . h . s . h h'
+        },
+        g: {
+          bass: 'G1 . G2 . G1 G1 G2 . G1 . G2 . G1 G1 G2 .',
+          lead: 'B4 - - - D5 - G5 - - - D5 - B4 - G4 -',
+          arp: 'G3maj - - - - - - - - - - - - - - -',
+          drums: 'k . h . s . h k k . s . s s s s'
+        }
+      },
+      order: ['am', 'f', 'c', 'g']
+    },
+
+    // E minor, faster and busier, from GAME_CONSTANTS.MUSIC_LATE_ROUND on; the arpeggio joins near full intensity
+    lateRounds: {
+      tempo: 156,
+      stepsPerBeat: 4,
+      loop: true,
+      intensityTempo: 0.12,
+      channels: {
+        bass: { wave: 'sawtooth', volume: 0.1 },
+        lead: { wave: 'square', volume: 0.09 },
+        arp: { wave: 'square', volume: 0.04, arp: true, intensity: 0.8 },
+        drums: { drums: true, volume: 0.2 }
+      },
+      patterns: {
+        em: {
+          bass: 'E1 E2 E1 E2 E1 E2 E1 E2 E1 E2 E1 E2 E1 E2 E1 E2',
+          lead: 'E5 - B4 - E5 - G5 - F#5 - E5 - D5 - B4 -',
+          arp: 'E3min - - - - - - - - - - - - - - -',
+          drums: 'k h s h k k s h k h s h k k s h'
+        },
+        c: {
+          bass: 'C2 C3 C2 C3 C2 C3 C2 C3 C2 C3 C2 C3 C2 C3 C2 C3',
+          lead: 'C5 - E5 - G5 - E5 - C5 - - - E5 - G5 -',
+          arp: 'C3maj - - - - - - - - - - - - - - -',
+          drums: 'k h s h k k s h k h s h k k s h'
+        },
+        d: {
+          bass: 'D1 D2 D1 D2 D1 D2 D1 D2 D1 D2 D1 D2 D1 D2 D1 D2',
+          lead: 'D5 - F#5 - A5 - F#5 - D5 - - - A4 - D5 -',
+          arp: 'D3maj - - - - - - - - - - - - - - -',
+          drums: 'k h s h k k s h k h s h k k s h'
+        },
+        b: {
+          bass: 'B0 B1 B0 B1 B0 B1 B0 B1 B0 B1 B0 B1 B0 B1 B0 B1',
+          lead: 'D#5 - F#5 - B5 - - - A5 - F#5 - D#5 - B4 -',
+          arp: 'B2dom7 - - - - - - - - - - - - - - -',
+          drums: 'k h s h k k s h k s k s s s s s'
+        }
+      },
+      order: ['em', 'c', 'd', 'b']
+    },
+
+    // A falling lament, played once
+    gameOver: {
+      tempo: 84,
+      stepsPerBeat: 4,
+      loop: false,
+      channels: {
+        bass: { wave: 'triangle', volume: 0.3 },
+        lead: { wave: 'square', volume: 0.08 },
+        drums: { drums: true, volume: 0.18 }
+      },
+      patterns: {
+        fall: {
+          bass: 'A1 - - - - - - - F1 - - - - - - -',
+          lead: 'E5 - - - C5 - - - A4 - - - F4 - - -',
+          drums: 'k . . . . . . . k . . . . . . .'
+        },
+        end: {
+          bass: 'E1 - - - - - - - A1 - - - - - - -',
+          lead: 'G#4 - - - B4 - - - A4 - - - - - - -',
+          drums: 'k . . . s . . . k . . . . . . .'
+        }
+      },
+      order: ['fall', 'end']
+    }
+  },
+
+  compiled: {},
+  noise: null,
+  current: null, // The track playing: { name, track, gain, orderIndex, step, nextTime, ended }
+  fading: [], // Tracks still fading out after a switch
+  wanted: null, // Name of the track that should be playing, started once audio is unlocked
+  intensity: 0,
+  timer: null,
+
+  // Asks for a track; the scheduler crossfades to it (or starts it when audio unlocks)
+  play(name) {
+    if (!this.tracks[name]) {
+      console.warn(`❌ MUSIC: Unknown track "${name}"`);
       return;
     }
+    this.wanted = name;
+    this.startScheduler();
+  },
 
-    // Enhanced 80s synth-style background melody with bass and lead
-    const bassLine = [
-      { freq: 130.81, duration: 0.4, type: 'sawtooth', volume: 0.3 }, // C3
-      { freq: 164.81, duration: 0.4, type: 'sawtooth', volume: 0.3 }, // E3
-      { freq: 196.00, duration: 0.4, type: 'sawtooth', volume: 0.3 }, // G3
-      { freq: 261.63, duration: 0.6, type: 'sawtooth', volume: 0.4 }, // C4
-      { freq: 196.00, duration: 0.3, type: 'sawtooth', volume: 0.3 }, // G3
-      { freq: 164.81, duration: 0.3, type: 'sawtooth', volume: 0.3 }, // E3
-      { freq: 130.81, duration: 0.8, type: 'sawtooth', volume: 0.4 }  // C3
-    ];
+  stop() {
+    this.wanted = null;
+  },
 
-    const leadLine = [
-      { freq: 523.25, duration: 0.2, type: 'square', volume: 0.2 }, // C5
-      { freq: 659.25, duration: 0.2, type: 'square', volume: 0.2 }, // E5
-      { freq: 783.99, duration: 0.3, type: 'square', volume: 0.25 }, // G5
-      { freq: 1046.50, duration: 0.4, type: 'square', volume: 0.3 }, // C6
-      { freq: 783.99, duration: 0.2, type: 'square', volume: 0.2 }, // G5
-      { freq: 659.25, duration: 0.2, type: 'square', volume: 0.2 }, // E5
-      { freq: 523.25, duration: 0.6, type: 'square', volume: 0.25 }, // C5
-      { freq: 659.25, duration: 0.2, type: 'square', volume: 0.2 }, // E5
-      { freq: 783.99, duration: 0.3, type: 'square', volume: 0.25 }, // G5
-      { freq: 1046.50, duration: 0.4, type: 'square', volume: 0.3 }, // C6
-      { freq: 1318.51, duration: 0.3, type: 'square', volume: 0.35 }, // E6
-      { freq: 1567.98, duration: 0.8, type: 'square', volume: 0.4 }  // G6
-    ];
+  // 0 to 1 - later rounds play faster and with more channels
+  setIntensity(intensity) {
+    this.intensity = Phaser.Math.Clamp(intensity, 0, 1);
+  },
 
-    const arpeggio = [
-      { freq: 523.25, duration: 0.15, type: 'triangle', volume: 0.1 }, // C5
-      { freq: 659.25, duration: 0.15, type: 'triangle', volume: 0.1 }, // E5
-      { freq: 783.99, duration: 0.15, type: 'triangle', volume: 0.1 }, // G5
-      { freq: 1046.50, duration: 0.15, type: 'triangle', volume: 0.1 } // C6
-    ];
+  // Gameplay music for a round: the late-rounds track from MUSIC_LATE_ROUND, intensity growing up to MUSIC_INTENSITY_ROUNDS
+  playForRound(round) {
+    this.setIntensity((round - 1) / Math.max(1, GAME_CONSTANTS.MUSIC_INTENSITY_ROUNDS - 1));
+    this.play(round >= GAME_CONSTANTS.MUSIC_LATE_ROUND ? 'lateRounds' : 'gameplay');
+  },
+
+  startScheduler() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), GAME_CONSTANTS.MUSIC_SCHEDULER_INTERVAL);
+  },
+
+  // Queues every note due before the schedule-ahead horizon. Pausing suspends the audio clock,
+  // so the horizon stops moving and nothing piles up.
+  tick() {
+    const context = gameState.audioContext;
+    if (!context || !gameState.isAudioUnlocked || gameState.isAudioPaused) return;
+
+    try {
+      const now = context.currentTime;
+      if (this.current && this.current.ended && this.current.nextTime <= now) {
+        // A track that does not loop has finished
+        this.current.gain.disconnect();
+        this.current = null;
+        this.wanted = null;
+      }
+      if (this.wanted !== (this.current ? this.current.name : null)) {
+        this.switchTo(this.wanted);
+      }
+
+      const horizon = now + GAME_CONSTANTS.MUSIC_SCHEDULE_AHEAD;
+      if (this.current) this.schedule(this.current, horizon);
+      this.fading.forEach(voice => this.schedule(voice, Math.min(horizon, voice.fadeEnd)));
+      this.fading = this.fading.filter(voice => {
+        if (voice.fadeEnd > now) return true;
+        voice.gain.disconnect();
+        return false;
+      });
+
+      if (!this.current && !this.wanted && this.fading.length === 0) {
+        clearInterval(this.timer);
+        this.timer = null;
+      }
+    } catch (error) {
+      console.warn('❌ MUSIC: Scheduling failed:', error);
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  },
+
+  switchTo(name) {
+    const context = gameState.audioContext;
+    const now = context.currentTime;
+    const fade = GAME_CONSTANTS.MUSIC_CROSSFADE;
+    const previous = this.current;
+
+    if (previous) {
+      const gain = previous.gain.gain;
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(gain.value, now);
+      gain.linearRampToValueAtTime(0, now + fade);
+      previous.fadeEnd = now + fade;
+      this.fading.push(previous);
+    }
+    this.current = null;
+    if (!name) return;
+
+    const track = this.compile(name);
+    const gain = context.createGain();
+    gain.connect(gameState.mixer.music);
+    if (previous) {
+      gain.gain.setValueAtTime(0, now);
+      gain.gain.linearRampToValueAtTime(1, now + fade);
+    }
+
+    this.current = { name, track, gain, orderIndex: 0, step: 0, nextTime: now + 0.05, ended: false };
+    console.log(`🎵 MUSIC: Playing "${name}"${previous ? ` (crossfading from "${previous.name}")` : ''}`);
+  },
+
+  schedule(voice, horizon) {
+    const track = voice.track;
+
+    while (!voice.ended && voice.nextTime < horizon) {
+      const pattern = track.patterns[track.order[voice.orderIndex]];
+      const stepLength = 60 / (track.tempo * (1 + track.intensityTempo * this.intensity) * track.stepsPerBeat);
+
+      pattern.steps[voice.step].forEach(event => {
+        const channel = track.channels[event.channel];
+        if (this.intensity < (channel.intensity || 0)) return;
+
+        if (event.drum) {
+          this.playDrum(voice, channel, this.drums[event.drum], voice.nextTime);
+        } else {
+          this.playNote(voice, channel, event.frequencies, voice.nextTime, event.length * stepLength);
+        }
+      });
+
+      voice.nextTime += stepLength;
+      voice.step++;
+      if (voice.step >= pattern.length) {
+        voice.step = 0;
+        voice.orderIndex++;
+        if (voice.orderIndex >= track.order.length) {
+          voice.orderIndex = 0;
+          voice.ended = !track.loop;
+        }
+      }
+    }
+  },
+
+  playNote(voice, channel, frequencies, time, duration) {
+    const context = gameState.audioContext;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+
+    oscillator.type = channel.wave || 'square';
+    if (frequencies.length === 1) {
+      oscillator.frequency.setValueAtTime(frequencies[0], time);
+    } else {
+      // Arpeggios step through the chord for as long as the note is held
+      const rate = GAME_CONSTANTS.MUSIC_ARP_RATE;
+      for (let offset = 0, index = 0; offset < duration; offset += rate, index++) {
+        oscillator.frequency.setValueAtTime(frequencies[index % frequencies.length], time + offset);
+      }
+    }
+
+    const release = Math.min(0.04, duration / 2);
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime(channel.volume, time + 0.005);
+    gain.gain.setValueAtTime(channel.volume, time + duration - release);
+    gain.gain.linearRampToValueAtTime(0, time + duration);
+
+    oscillator.connect(gain);
+    gain.connect(voice.gain);
+    oscillator.start(time);
+    oscillator.stop(time + duration);
+  },
+
+  playDrum(voice, channel, drum, time) {
+    const context = gameState.audioContext;
+    const gain = context.createGain();
+    let source;
+
+    if (drum.pitch) {
+      source = context.createOscillator();
+      source.type = 'triangle';
+      source.frequency.setValueAtTime(drum.pitch, time);
+      source.frequency.exponentialRampToValueAtTime(drum.drop, time + drum.length);
+      source.connect(gain);
+    } else {
+      source = context.createBufferSource();
+      source.buffer = this.getNoise();
+      const filter = context.createBiquadFilter();
+      filter.type = 'highpass';
+      filter.frequency.setValueAtTime(drum.filter, time);
+      source.connect(filter);
+      filter.connect(gain);
+    }
+
+    gain.gain.setValueAtTime(channel.volume, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + drum.length);
+    gain.connect(voice.gain);
+    source.start(time);
+    source.stop(time + drum.length);
+  },
+
+  // One second of white noise, shared by every drum hit
+  getNoise() {
+    if (!this.noise) {
+      const context = gameState.audioContext;
+      this.noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+      const data = this.noise.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    }
+    return this.noise;
+  },
+
+  // Turns a track's pattern strings into per-step note events, once per track
+  compile(name) {
+    if (this.compiled[name]) return this.compiled[name];
+
+    const source = this.tracks[name];
+    const track = {
+      tempo: source.tempo,
+      stepsPerBeat: source.stepsPerBeat || 4,
+      loop: source.loop !== false,
+      intensityTempo: source.intensityTempo || 0,
+      channels: source.channels,
+      order: source.order,
+      patterns: {}
+    };
+
+    Object.keys(source.patterns).forEach(patternName => {
+      const channels = source.patterns[patternName];
+      const length = Math.max(...Object.values(channels).map(tokens => tokens.trim().split(/\s+/).length));
+      const steps = Array.from({ length }, () => []);
 
-    gameState.introMusicInterval = setInterval(() => {
-      if (!gameState.introComplete && gameState.isAudioInitialized && gameState.isAudioUnlocked) {
-        // Play bass line
-        bassLine.forEach((note, index) => {
-          setTimeout(() => {
-            if (!gameState.introComplete) {
-              this.createBeep(note.freq, note.duration, note.type, note.volume);
+      Object.keys(channels).forEach(channelName => {
+        const channel = source.channels[channelName];
+        if (!channel) {
+          console.warn(`❌ MUSIC: "${name}" pattern ${patternName} uses unknown channel ${channelName}`);
+          return;
+        }
+
+        let held = null;
+        channels[channelName].trim().split(/\s+/).forEach((token, step) => {
+          if (token === '-' && held) {
+            held.length++;
+            return;
+          }
+          held = null;
+          if (token === '.' || token === '-') return;
+
+          const event = { channel: channelName, length: 1 };
+          if (channel.drums) {
+            if (!this.drums[token]) {
+              console.warn(`❌ MUSIC: "${name}" pattern ${patternName} has unknown drum ${token}`);
+              return;
+            }
+            event.drum = token;
+          } else {
+            event.frequencies = this.parseNote(token, channel.arp);
+            if (!event.frequencies) {
+              console.warn(`❌ MUSIC: "${name}" pattern ${patternName} has unreadable note ${token}`);
+              return;
             }
-          }, index * 150);
+            held = event;
+          }
+          steps[step].push(event);
         });
+      });
 
-        // Play lead line with slight delay
-        leadLine.forEach((note, index) => {
-          setTimeout(() => {
-            if (!gameState.introComplete) {
-              this.createBeep(note.freq, note.duration, note.type, note.volume);
-            }
-          }, 100 + index * 150);
+      track.patterns[patternName] = { length, steps };
+    });
+
+    this.compiled[name] = track;
+    return track;
+  },
+
+  // 'A4' -> [440]; arp notes give every note of their chord ('A3min'), or the note and its octave
+  parseNote(token, arp) {
+    const match = /^([A-G])([#b]?)(\d)([a-z0-9]*)$/.exec(token);
+    if (!match) return null;
+
+    const semitone = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }[match[1]] + (match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0);
+    const midi = (Number(match[3]) + 1) * 12 + semitone;
+    let intervals = [0];
+    if (match[4]) {
+      intervals = this.chords[match[4]];
+      if (!intervals) return null;
+    } else if (arp) {
+      intervals = [0, 12];
+    }
+    return intervals.map(interval => 440 * Math.pow(2, (midi + interval - 69) / 12));
+  }
+};
+
+/**
+ * Arcade Effects System
+ * Named visual effects (shake, flash, particles, glitch, electric) built from pooled game objects
+ */
+const ArcadeEffectsSystem = {
+  effects: {
+    shake(scene, options) {
+      const { intensity = 0.01, duration = 200 } = options;
+      scene.cameras.main.shake(duration, intensity);
+    },
+
+    flash(scene, options) {
+      const { color = 0xffffff, intensity = 0.5, duration = 150 } = options;
+      const overlay = ArcadeEffectsSystem.acquire(scene, 'flash', () =>
+        scene.add.rectangle(0, 0, GAME_CONSTANTS.WIDTH, GAME_CONSTANTS.HEIGHT, color).setOrigin(0));
+      if (!overlay) return;
+
+      overlay.setFillStyle(color, 1).setAlpha(intensity);
+      scene.tweens.add({
+        targets: overlay,
+        alpha: 0,
+        duration: duration,
+        ease: 'Power2',
+        onComplete: () => ArcadeEffectsSystem.release(overlay)
+      });
+    },
+
+    particleBurst(scene, options) {
+      const { x, y, color = 0xffffff, count = 16, speed = 120, size = 4, duration = 500, intensity = 1 } = options;
+      const total = Math.max(1, Math.round(count * intensity));
+
+      for (let i = 0; i < total; i++) {
+        const particle = ArcadeEffectsSystem.acquire(scene, 'particle', () =>
+          scene.add.rectangle(0, 0, size, size, color));
+        if (!particle) return; // Pool exhausted - skip the rest of the burst
+
+        const angle = (Math.PI * 2 * i) / total + Phaser.Math.FloatBetween(-0.2, 0.2);
+        const distance = speed * Phaser.Math.FloatBetween(0.5, 1) * intensity;
+
+        particle.setPosition(x, y).setSize(size, size).setFillStyle(color, 1).setAlpha(1).setScale(1);
+        scene.tweens.add({
+          targets: particle,
+          x: x + Math.cos(angle) * distance,
+          y: y + Math.sin(angle) * distance,
+          alpha: 0,
+          scale: 0.2,
+          duration: duration,
+          ease: 'Power2',
+          onComplete: () => ArcadeEffectsSystem.release(particle)
         });
+      }
+    },
 
-        // Play arpeggio every other cycle for more 80s feel
-        if (Math.random() > 0.5) {
-          setTimeout(() => {
-            if (!gameState.introComplete) {
-              arpeggio.forEach((note, index) => {
-                setTimeout(() => {
-                  if (!gameState.introComplete) {
-                    this.createBeep(note.freq, note.duration, note.type, note.volume);
-                  }
-                }, index * 80);
-              });
-            }
-          }, 500);
-        }
+    glitch(scene, options) {
+      const { intensity = 0.5, duration = 300, colors = [0xff00ff, 0x00ffff, 0xffffff] } = options;
+      const slices = [];
+      const sliceCount = Math.max(1, Math.ceil(intensity * 8));
+
+      for (let i = 0; i < sliceCount; i++) {
+        const slice = ArcadeEffectsSystem.acquire(scene, 'glitch', () =>
+          scene.add.rectangle(0, 0, GAME_CONSTANTS.WIDTH, 4, 0xffffff).setOrigin(0, 0.5));
+        if (slice) slices.push(slice);
       }
-    }, 2800); // Repeat every 2.8 seconds for more dynamic feel
 
-    console.log('✅ AUDIO: Enhanced 80s intro music started with interval ID:', gameState.introMusicInterval);
+      const camera = scene.cameras.main;
+      const jitter = () => {
+        slices.forEach(slice => {
+          slice.setPosition(Phaser.Math.Between(-20, 20) * intensity, Phaser.Math.Between(0, GAME_CONSTANTS.HEIGHT));
+          slice.setSize(GAME_CONSTANTS.WIDTH, Phaser.Math.Between(2, 12));
+          slice.setFillStyle(Phaser.Math.RND.pick(colors), 0.25 + intensity * 0.35);
+          slice.setVisible(Math.random() < 0.75);
+        });
+        camera.setScroll(Phaser.Math.Between(-4, 4) * intensity, 0);
+      };
+
+      jitter();
+      const timer = scene.time.addEvent({
+        delay: 40,
+        repeat: Math.max(0, Math.floor(duration / 40) - 1),
+        callback: jitter
+      });
+
+      scene.time.delayedCall(duration, () => {
+        timer.remove(false);
+        slices.forEach(slice => ArcadeEffectsSystem.release(slice));
+        camera.setScroll(0, 0);
+      });
+    },
+
+    electric(scene, options) {
+      const { x, y, color = 0x00ffff, radius = 120, bolts = 4, segments = 6, duration = 300, intensity = 1 } = options;
+      const graphics = ArcadeEffectsSystem.acquire(scene, 'electric', () => scene.add.graphics());
+      if (!graphics) return;
+
+      const drawBolts = () => {
+        graphics.clear();
+        graphics.lineStyle(1 + Math.round(intensity * 2), color, 1);
+
+        for (let bolt = 0; bolt < bolts; bolt++) {
+          const angle = Phaser.Math.FloatBetween(0, Math.PI * 2);
+          const length = radius * Phaser.Math.FloatBetween(0.6, 1) * intensity;
+          const jag = 14 * intensity;
+
+          graphics.beginPath();
+          graphics.moveTo(x, y);
+          for (let step = 1; step <= segments; step++) {
+            const progress = step / segments;
+            const offset = step === segments ? 0 : Phaser.Math.FloatBetween(-jag, jag);
+            graphics.lineTo(
+              x + Math.cos(angle) * length * progress - Math.sin(angle) * offset,
+              y + Math.sin(angle) * length * progress + Math.cos(angle) * offset
+            );
+          }
+          graphics.strokePath();
+        }
+      };
+
+      graphics.setAlpha(1);
+      drawBolts();
+      const flicker = scene.time.addEvent({
+        delay: 50,
+        repeat: Math.max(0, Math.floor(duration / 50) - 1),
+        callback: drawBolts
+      });
+
+      scene.time.delayedCall(duration, () => {
+        flicker.remove(false);
+        graphics.clear();
+        ArcadeEffectsSystem.release(graphics);
+      });
+    }
+  },
+
+  play(scene, name, options = {}) {
+    const effect = this.effects[name];
+    if (!effect) {
+      console.warn(`❌ EFFECTS: Unknown effect "${name}"`);
+      return;
+    }
+
+    try {
+      effect(scene, options);
+    } catch (error) {
+      console.warn(`❌ EFFECTS: ${name} failed:`, error);
+    }
+  },
+
+  // Plays every effect listed for a named game event, positioned at x/y where relevant
+  playPreset(scene, presetName, x = GAME_CONSTANTS.WIDTH / 2, y = GAME_CONSTANTS.HEIGHT / 2) {
+    const preset = GAME_CONSTANTS.EFFECT_PRESETS[presetName];
+    if (!preset) {
+      console.warn(`❌ EFFECTS: Unknown preset "${presetName}"`);
+      return;
+    }
+
+    console.log(`💥 EFFECTS: Playing ${presetName} preset`);
+    preset.forEach(step => {
+      this.play(scene, step.effect, Object.assign({ x, y }, step));
+    });
+  },
+
+  acquire(scene, poolName, create) {
+    if (!scene.effectPools) {
+      scene.effectPools = {};
+      // Pooled objects die with the scene, so a restarted scene starts with empty pools
+      scene.events.once('shutdown', () => { scene.effectPools = null; });
+    }
+    const pool = scene.effectPools[poolName] || (scene.effectPools[poolName] = []);
+
+    let object = pool.find(candidate => !candidate.active);
+    if (!object) {
+      if (pool.length >= GAME_CONSTANTS.EFFECT_POOL_SIZE) return null;
+      object = create();
+      object.setDepth(GAME_CONSTANTS.EFFECT_DEPTH);
+      pool.push(object);
+    }
+
+    return object.setActive(true).setVisible(true);
   },
 
-  stopIntroMusic() {
-    console.log('🎵 AUDIO: Stopping intro background music');
-    if (gameState.introMusicInterval) {
-      clearInterval(gameState.introMusicInterval);
-      gameState.introMusicInterval = null;
-      console.log('✅ AUDIO: Intro music stopped');
+  release(object) {
+    if (object && object.scene) {
+      object.setActive(false).setVisible(false);
     }
   }
 };
@@ -297,7 +1225,7 @@ const AudioSystem = {
  * Handles game introduction sequences and UI
  */
 const IntroSystem = {
-  createCompanyLogo(scene) {
+  createCompanyLogo(scene, onComplete) {
     console.log('=== CREATING ENHANCED 80s SVG LOGO ===');
 
     try {
@@ -336,8 +1264,8 @@ const IntroSystem = {
         });
       });
 
-      // Start enhanced intro background music
-      AudioSystem.startIntroMusic();
+      // Title music starts under the logo and carries on into the title screen
+      MusicSystem.play('title');
 
       // Color cycling animation for logo tint
       const colors = [0xff0000, 0xff8000, 0xffff00, 0x80ff00, 0x00ff00, 0x00ff80, 0x00ffff, 0x0080ff, 0x0000ff, 0x8000ff, 0xff00ff, 0xff0080];
@@ -419,8 +1347,8 @@ const IntroSystem = {
         scene.time.delayedCall(300, () => AudioSystem.createBeep(1200, 0.2, 'square', 0.6));
         scene.time.delayedCall(500, () => AudioSystem.createBeep(1600, 0.4, 'sawtooth', 0.8));
 
-        if (typeof this.nextStage === 'function') {
-          this.nextStage();
+        if (typeof onComplete === 'function') {
+          onComplete();
         }
       });
     } catch (error) {
@@ -431,32 +1359,61 @@ const IntroSystem = {
 
 /**
  * Game Factory Functions
- * Creates game entities with consistent initialization
+ * Creates the sprites that stand for GameCore entities, and the HUD
  */
 const GameFactory = {
-  createEnemy(scene, x, y, type) {
+  createEnemy(scene, enemy) {
     try {
-      let spriteKey;
-      switch (type) {
-        case 'chaser': spriteKey = 'enemy-chaser'; break;
-        case 'patrol': spriteKey = 'enemy-patrol'; break;
-        default: spriteKey = 'enemy-random'; break;
-      }
-
-      const enemy = scene.add.sprite(x, y, spriteKey);
-      enemy.type = type;
-      enemy.moveCounter = 0;
-      enemy.moveDirection = Phaser.Math.Between(0, 3);
-      return enemy;
+      return scene.add.sprite(enemy.x, enemy.y, EnemySystem.get(enemy.type).sprite);
     } catch (error) {
       console.error('Error creating enemy:', error);
       return null;
     }
   },
 
-  createCollectible(scene, x, y) {
+  createPowerUp(scene, powerUp) {
     try {
-      return scene.add.sprite(x, y, 'collectible');
+      // Power-ups are GPUs in their own colour, a size up and pulsing
+      const sprite = scene.add.sprite(powerUp.x, powerUp.y, 'collectible');
+      sprite.setTint(GAME_CONSTANTS.POWER_UPS[powerUp.powerUpType].tint);
+      sprite.setScale(powerUp.scale);
+      scene.tweens.add({
+        targets: sprite,
+        scale: { from: powerUp.scale, to: powerUp.scale * 0.8 },
+        duration: 400,
+        repeat: -1,
+        yoyo: true
+      });
+      return sprite;
+    } catch (error) {
+      console.error('Error creating power-up:', error);
+      return null;
+    }
+  },
+
+  createBoss(scene, boss) {
+    try {
+      return scene.add.sprite(boss.x, boss.y, 'boss');
+    } catch (error) {
+      console.error('Error creating boss:', error);
+      return null;
+    }
+  },
+
+  createProjectile(scene, projectile) {
+    try {
+      const sprite = scene.add.circle(projectile.x, projectile.y, GAME_CONSTANTS.HITBOXES.projectile.width / 2 + 1, 0xff00ff);
+      sprite.setStrokeStyle(2, 0xffffff);
+      return sprite;
+    } catch (error) {
+      console.error('Error creating projectile:', error);
+      return null;
+    }
+  },
+
+  createCollectible(scene, collectible) {
+    try {
+      return scene.add.sprite(collectible.x, collectible.y, 'collectible');
     } catch (error) {
       console.error('Error creating collectible:', error);
       return null;
@@ -465,222 +1422,1636 @@ const GameFactory = {
 
   createHUDText(scene) {
     try {
+      const sim = gameState.sim;
       gameState.scoreText = scene.add.text(GAME_CONSTANTS.BOUNDS_PADDING, GAME_CONSTANTS.BOUNDS_PADDING,
-        `Score: ${gameState.score}`, {
+        `Score: ${sim.score}`, {
           fontSize: '18px',
           fill: '#fff'
-        }).setVisible(false);
+        });
 
       gameState.healthText = scene.add.text(600, GAME_CONSTANTS.BOUNDS_PADDING,
-        `Health: ${gameState.health}`, {
+        `Health: ${sim.health}`, {
           fontSize: '18px',
           fill: '#fff'
-        }).setVisible(false);
+        });
+
+      gameState.livesText = scene.add.text(600, GAME_CONSTANTS.BOUNDS_PADDING + 22,
+        `Lives: ${sim.lives}`, {
+          fontSize: '14px',
+          fill: '#00ff00'
+        });
 
       gameState.roundText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.BOUNDS_PADDING,
-        `Round: ${gameState.round}`, {
+        `Round: ${sim.round}`, {
           fontSize: '18px',
           fill: '#fff'
-        }).setOrigin(0.5).setVisible(false);
+        }).setOrigin(0.5);
+
+      // Level name and win condition, for designed rounds
+      gameState.objectiveText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.BOUNDS_PADDING + 22,
+        '', {
+          fontSize: '12px',
+          fill: '#00ffff'
+        }).setOrigin(0.5, 0);
+
+      // Boss health, under the objective line
+      const barY = GAME_CONSTANTS.BOUNDS_PADDING + 52;
+      const frame = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2, barY, 304, 12, 0x000000, 0.6);
+      frame.setStrokeStyle(2, 0xff00ff);
+      const fill = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2 - 150, barY, 300, 8, 0xff00ff).setOrigin(0, 0.5);
+      const label = scene.add.text(GAME_CONSTANTS.WIDTH / 2, barY + 10, GAME_CONSTANTS.BOSS.name, {
+        fontSize: '10px',
+        fill: '#ff00ff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5, 0);
+      gameState.bossBar = { frame: frame, fill: fill, label: label };
+      [frame, fill, label].forEach(element => element.setVisible(false));
+
+      // The action button's abilities, bottom right: the dash's cooldown and the EMP's charge
+      const meterX = GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.BOUNDS_PADDING - 100;
+      gameState.abilityMeters = {
+        dash: GameFactory.createMeter(scene, meterX, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.BOUNDS_PADDING - 26, 'DASH', 0x00ff00),
+        emp: GameFactory.createMeter(scene, meterX, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.BOUNDS_PADDING - 6, 'EMP', GAME_CONSTANTS.ABILITIES.emp.tint)
+      };
+
+      // Active power-ups and their seconds left
+      gameState.powerUpText = scene.add.text(GAME_CONSTANTS.BOUNDS_PADDING, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.BOUNDS_PADDING,
+        '', {
+          fontSize: '16px',
+          fill: '#ffff00'
+        }).setOrigin(0, 1);
     } catch (error) {
       console.error('Error creating HUD text:', error);
     }
+  },
+
+  // A 100px bar filling from the left, with its label to the left of it
+  createMeter(scene, x, y, label, color) {
+    const frame = scene.add.rectangle(x + 50, y, 104, 10, 0x000000, 0.6);
+    frame.setStrokeStyle(1, color);
+    const fill = scene.add.rectangle(x, y, 100, 6, color).setOrigin(0, 0.5);
+    const text = scene.add.text(x - 8, y, label, {
+      fontSize: '10px',
+      fill: '#ffffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(1, 0.5);
+    return { frame: frame, fill: fill, label: text };
+  },
+
+  // Points (or a message) floating up from where they were scored
+  createScorePopup(scene, x, y, text, color = '#ffff00') {
+    const popup = scene.add.text(x, y, text, {
+      fontSize: '12px',
+      fill: color,
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5).setDepth(GAME_CONSTANTS.EFFECT_DEPTH + 1);
+    popup.setShadow(1, 1, '#000000', 2);
+
+    scene.tweens.add({
+      targets: popup,
+      y: y - 40,
+      alpha: 0,
+      duration: 900,
+      ease: 'Cubic.easeOut',
+      onComplete: () => popup.destroy()
+    });
+    return popup;
   }
 };
 
 /**
- * Game Logic System
- * Handles core game mechanics and sequences
+ * Render System
+ * Draws a GameCore state: one sprite per entity, matched up by id every frame, plus the walls and the HUD.
+ * It only ever reads the state - the rules live in core.js.
  */
-const GameLogicSystem = {
-  runCompanyLogoSequence() {
-    console.log('=== COMPANY LOGO SEQUENCE STARTED ===');
-    const scene = this;
+const RenderSystem = {
+  // Player tint while several power-ups are active, strongest first
+  tintPriority: ['shield', 'speed', 'multiplier', 'magnet'],
 
-    function nextStage() {
-      console.log('=== MOVING TO TITLE SCREEN ===');
-      // Clear previous stage elements
-      gameState.introElements.forEach(element => {
-        if (element && element.destroy) element.destroy();
-      });
-      gameState.introElements = [];
-      // After company logo, show title screen
-      GameLogicSystem.showTitleScreen.call(scene);
+  // elements: a list that new sprites are added to, for scenes that clear their objects in one go (attract mode)
+  createView(scene, elements) {
+    return { scene: scene, elements: elements || null, player: null, sprites: {}, walls: null, wallRects: [] };
+  },
+
+  draw(view, state) {
+    const scene = view.scene;
+    if (!state) return;
+
+    if (view.walls !== state.walls) this.drawWalls(view, state.walls);
+
+    if (!view.player) view.player = this.track(view, scene.add.sprite(state.player.x, state.player.y, 'player'));
+    view.player.setPosition(state.player.x, state.player.y);
+
+    const frozen = PowerUpSystem.isActive(state, 'freeze');
+    const seen = {};
+    const sync = (entity, create) => {
+      let sprite = view.sprites[entity.id];
+      if (!sprite) {
+        sprite = create(scene, entity);
+        if (!sprite) return null;
+        view.sprites[entity.id] = this.track(view, sprite);
+      }
+      seen[entity.id] = true;
+      return sprite.setPosition(entity.x, entity.y);
+    };
+
+    state.enemies.forEach(enemy => {
+      const sprite = sync(enemy, GameFactory.createEnemy);
+      if (!sprite) return;
+      sprite.setAlpha(enemy.alpha).setScale(enemy.scale);
+      if (enemy.stunned > 0) {
+        sprite.setTint(GAME_CONSTANTS.ABILITIES.emp.tint);
+      } else if (frozen) {
+        sprite.setTint(GAME_CONSTANTS.POWER_UPS.freeze.tint);
+      } else {
+        sprite.clearTint();
+      }
+    });
+    if (state.boss && !state.boss.defeated) {
+      const sprite = sync(state.boss, GameFactory.createBoss);
+      // Red through a dash's warning and the charge itself
+      if (sprite && state.boss.stunned > 0) {
+        sprite.setTint(GAME_CONSTANTS.ABILITIES.emp.tint);
+      } else if (sprite && state.boss.dash) {
+        sprite.setTint(0xff4444);
+      } else if (sprite) {
+        sprite.clearTint();
+      }
     }
+    state.projectiles.forEach(projectile => sync(projectile, GameFactory.createProjectile));
+    state.collectibles.forEach(collectible => sync(collectible, GameFactory.createCollectible));
+    state.powerUps.forEach(powerUp => {
+      const sprite = sync(powerUp, GameFactory.createPowerUp);
+      if (sprite) sprite.setAlpha(powerUp.alpha);
+    });
 
-    IntroSystem.createCompanyLogo(scene);
+    // Entities that left the state take their sprites with them
+    Object.keys(view.sprites).forEach(id => {
+      if (seen[id]) return;
+      view.sprites[id].destroy();
+      delete view.sprites[id];
+    });
 
-    // Move to title screen after 3 seconds
-    scene.time.delayedCall(3000, () => {
-      AudioSystem.createBeep(1200, 0.15, 'square', 0.3);
-      nextStage();
+    const tintType = this.tintPriority.find(type => PowerUpSystem.isActive(state, type));
+    if (tintType) {
+      view.player.setTint(GAME_CONSTANTS.POWER_UPS[tintType].tint);
+    } else {
+      view.player.clearTint();
+    }
+
+    this.updateHUD(state);
+  },
+
+  // A fading copy of the player left where it was on a step of a dash
+  addAfterimage(view, x, y) {
+    const scene = view.scene;
+    const ghost = this.track(view, scene.add.sprite(x, y, 'player'));
+    ghost.setTint(GAME_CONSTANTS.ABILITIES.emp.tint).setAlpha(0.5);
+    scene.tweens.add({
+      targets: ghost,
+      alpha: 0,
+      duration: 250,
+      onComplete: () => ghost.destroy()
     });
   },
 
-  runLoadingScreen() {
-    const scene = this;
-    gameState.introElements = [];
+  track(view, sprite) {
+    if (view.elements) view.elements.push(sprite);
+    return sprite;
+  },
 
-    function nextStage() {
-      // Clear previous stage elements with fade effect
-      gameState.introElements.forEach(element => {
-        if (element && element.destroy) {
-          // Add fade out animation before destroying
-          scene.tweens.add({
-            targets: element,
-            alpha: 0,
-            duration: 300,
-            ease: 'Power2',
-            onComplete: () => element.destroy()
-          });
-        }
-      });
-      gameState.introElements = [];
+  drawWalls(view, walls) {
+    view.wallRects.forEach(rect => rect.destroy());
+    view.wallRects = walls.map(wall => {
+      const rect = view.scene.add.rectangle(wall.x + wall.width / 2, wall.y + wall.height / 2, wall.width, wall.height, 0x00ffff, 0.2);
+      rect.setStrokeStyle(2, 0x00ffff);
+      return this.track(view, rect);
+    });
+    view.walls = walls;
+  },
 
-      // After loading, start the game with a brief pause
-      scene.time.delayedCall(500, () => {
-        GameLogicSystem.startActualGame.call(scene);
-      });
+  // Game over clears the field
+  hide(view) {
+    if (view.player) view.player.setVisible(false);
+    Object.keys(view.sprites).forEach(id => view.sprites[id].setVisible(false));
+  },
+
+  show(view) {
+    if (view.player) view.player.setVisible(true);
+    Object.keys(view.sprites).forEach(id => view.sprites[id].setVisible(true));
+  },
+
+  updateHUD(state) {
+    if (gameState.sim !== state) return;
+
+    if (gameState.scoreText) gameState.scoreText.setText(`Score: ${state.score}${state.combo.count > 1 ? `  COMBO x${state.combo.count}` : ''}`);
+    if (gameState.healthText) gameState.healthText.setText(`Health: ${state.health}`);
+    if (gameState.livesText) gameState.livesText.setText(`Lives: ${state.lives}`);
+    if (gameState.roundText) gameState.roundText.setText(`Round: ${state.round}`);
+    if (gameState.objectiveText) gameState.objectiveText.setText(LevelSystem.getObjective(state));
+
+    if (gameState.bossBar) {
+      const boss = state.boss && !state.boss.defeated ? state.boss : null;
+      const bar = gameState.bossBar;
+      [bar.frame, bar.fill, bar.label].forEach(element => element.setVisible(Boolean(boss)));
+      if (boss) bar.fill.width = 300 * boss.health / boss.maxHealth;
     }
 
-    // Add dramatic transition sound before loading screen
-    AudioSystem.createBeep(300, 0.2, 'sawtooth', 0.3);
-    scene.time.delayedCall(150, () => AudioSystem.createBeep(450, 0.15, 'sawtooth', 0.25));
-    scene.time.delayedCall(350, () => AudioSystem.createBeep(600, 0.1, 'square', 0.2));
+    if (gameState.abilityMeters) {
+      const abilities = state.abilities;
+      const dash = gameState.abilityMeters.dash;
+      const emp = gameState.abilityMeters.emp;
+      const empReady = AbilitySystem.isEmpReady(state);
+      dash.fill.width = 100 * (1 - abilities.dashCooldown / GAME_CONSTANTS.ABILITIES.dash.cooldown);
+      dash.label.setColor(abilities.dashCooldown > 0 ? '#666666' : '#ffffff');
+      // While a press is held for the pulse, the bar shows how long is left to hold
+      emp.fill.width = abilities.charging !== null ? 100 * (1 - abilities.charging / GAME_CONSTANTS.ABILITIES.emp.hold)
+        : 100 * abilities.empCharge / GAME_CONSTANTS.ABILITIES.emp.gpus;
+      emp.label.setText(empReady ? 'EMP READY' : 'EMP').setColor(empReady ? '#66ffff' : '#ffffff');
+    }
 
-    GameLogicSystem.createLoadingScreen.call(scene);
+    if (gameState.powerUpText) {
+      const timers = Object.keys(state.activePowerUps).map(type => {
+        const active = state.activePowerUps[type];
+        const definition = GAME_CONSTANTS.POWER_UPS[type];
+        const label = type === 'multiplier' ? `${definition.label} x${PowerUpSystem.getScoreMultiplier(state)}` : definition.label;
+        return `${label} ${Math.ceil(active.remaining / 1000)}`;
+      });
+      gameState.powerUpText.setText(timers.join('  '));
+    }
+  }
+};
 
-    // Move to game after loading completes (extended time for enhanced sequence)
-    scene.time.delayedCall(3000, () => {
-      AudioSystem.createBeep(800, 0.1, 'square', 0.3);
-      scene.time.delayedCall(100, () => AudioSystem.createBeep(1000, 0.1, 'square', 0.3));
-      scene.time.delayedCall(200, () => AudioSystem.createBeep(1200, 0.2, 'sawtooth', 0.4));
-      nextStage();
+/**
+ * Input System
+ * Maps game actions (move, confirm, back, pause...) to keyboard keys and gamepad buttons and sticks.
+ * Scenes ask for actions instead of raw keys; keyboard bindings are rebindable and kept in localStorage.
+ */
+const InputSystem = {
+  actions: Object.keys(GAME_CONSTANTS.KEYBOARD_BINDINGS),
+  bindings: null,
+
+  getDefaultBindings() {
+    const bindings = {};
+    this.actions.forEach(action => {
+      bindings[action] = GAME_CONSTANTS.KEYBOARD_BINDINGS[action].slice();
     });
+    return bindings;
   },
 
-  createLoadingScreen() {
-    const scene = this;
+  loadBindings() {
+    const bindings = this.getDefaultBindings();
 
-    // Main loading message with 80s style
-    const loadingText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 150, 'SYSTEM BOOTING UP', {
-      fontSize: '28px',
-      fill: '#00ffff',
-      fontFamily: 'Press Start 2P'
-    }).setOrigin(0.5);
-    loadingText.setShadow(2, 2, '#000000', 4);
-    gameState.introElements.push(loadingText);
+    try {
+      const raw = window.localStorage.getItem(GAME_CONSTANTS.CONTROLS_STORAGE_KEY);
+      if (!raw) return bindings;
 
-    // Subtitle with dramatic reveal
-    const subtitleText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 190, 'PLEASE STAND BY', {
-      fontSize: '16px',
-      fill: '#ffff00',
-      fontFamily: 'Press Start 2P'
-    }).setOrigin(0.5).setAlpha(0);
-    subtitleText.setShadow(1, 1, '#000000', 3);
-    gameState.introElements.push(subtitleText);
+      const data = JSON.parse(raw);
+      if (!data || data.version !== GAME_CONSTANTS.CONTROLS_VERSION || !data.keyboard) {
+        console.warn('🎮 INPUT: Ignoring stored controls with unknown format');
+        return bindings;
+      }
 
-    // Reveal subtitle with animation
-    scene.tweens.add({
-      targets: subtitleText,
-      alpha: { from: 0, to: 1 },
-      duration: 800,
-      ease: 'Power2',
-      delay: 300
+      // Actions missing from the save (or bound to keys Phaser does not know) keep their defaults
+      this.actions.forEach(action => {
+        const keys = data.keyboard[action];
+        if (Array.isArray(keys) && keys.length > 0 && keys.every(name => this.isKnownKey(name))) {
+          bindings[action] = keys.slice();
+        }
+      });
+    } catch (error) {
+      console.warn('❌ INPUT: Failed to load controls:', error);
+    }
+
+    return bindings;
+  },
+
+  saveBindings() {
+    try {
+      window.localStorage.setItem(GAME_CONSTANTS.CONTROLS_STORAGE_KEY, JSON.stringify({
+        version: GAME_CONSTANTS.CONTROLS_VERSION,
+        keyboard: this.getBindings()
+      }));
+    } catch (error) {
+      console.warn('❌ INPUT: Failed to save controls:', error);
+    }
+  },
+
+  getBindings() {
+    if (!this.bindings) {
+      this.bindings = this.loadBindings();
+    }
+    return this.bindings;
+  },
+
+  // Replaces the primary key of an action and takes the key off other actions, unless it is their only one
+  rebind(action, keyName) {
+    const bindings = this.getBindings();
+    if (!bindings[action] || !this.isKnownKey(keyName)) return false;
+
+    this.actions.forEach(other => {
+      if (other === action) return;
+      const remaining = bindings[other].filter(name => name !== keyName);
+      if (remaining.length > 0) bindings[other] = remaining;
     });
 
-    // Status messages that change during loading
-    const statusMessages = [
-      'INITIALIZING AI SYSTEMS...',
-      'CALIBRATING NEURAL NETWORKS...',
-      'LOADING GRAPHIC ASSETS...',
-      'ESTABLISHING SECURE CONNECTION...',
-      'DEPLOYING DEFENSE PROTOCOLS...',
-      'SYSTEM READY FOR DEPLOYMENT'
-    ];
+    bindings[action] = [keyName].concat(bindings[action].slice(1).filter(name => name !== keyName));
+    this.saveBindings();
+    console.log(`🎮 INPUT: ${action} bound to ${keyName}`);
+    return true;
+  },
 
-    const statusText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 230, '', {
-      fontSize: '14px',
-      fill: '#ffffff',
-      fontFamily: 'Press Start 2P'
-    }).setOrigin(0.5);
-    statusText.setShadow(1, 1, '#000000', 2);
-    gameState.introElements.push(statusText);
+  resetBindings() {
+    this.bindings = this.getDefaultBindings();
+    this.saveBindings();
+    console.log('🎮 INPUT: Controls reset to defaults');
+  },
 
-    // Enhanced progress bar with 80s styling
-    const progressBg = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2, 280, 500, 40, 0x000000).setOrigin(0.5);
-    progressBg.setStrokeStyle(2, 0x00ffff);
-    const progressBar = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2 - 250, 280, 0, 36, 0x0080ff).setOrigin(0, 0.5);
-    gameState.introElements.push(progressBg, progressBar);
+  isKnownKey(keyName) {
+    return typeof keyName === 'string' && Phaser.Input.Keyboard.KeyCodes[keyName] !== undefined;
+  },
 
-    // Secondary progress bar for more 80s feel
-    const progressBar2 = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2 - 250, 280, 0, 32, 0x00ffff).setOrigin(0, 0.5).setAlpha(0.7);
-    gameState.introElements.push(progressBar2);
+  getKeyName(keyCode) {
+    const codes = Phaser.Input.Keyboard.KeyCodes;
+    return Object.keys(codes).find(name => codes[name] === keyCode) || null;
+  },
 
-    // Animated loading bars with different speeds
-    scene.tweens.add({
-      targets: progressBar,
-      width: 496,
-      duration: 2200,
-      ease: 'Power2'
+  // Label for prompts such as "OR PRESS SPACE"
+  describe(action, allKeys) {
+    const keys = this.getBindings()[action] || [];
+    return (allKeys ? keys : keys.slice(0, 1)).join(' / ');
+  },
+
+  // Every scene attaches once in create(); handlers live with the scene and go away when it shuts down
+  attach(scene) {
+    const state = {
+      keys: {},
+      codes: {},
+      handlers: {},
+      stick: {},
+      poll: () => this.pollStick(scene)
+    };
+    scene.inputActions = state;
+    this.refreshKeys(scene);
+
+    scene.input.keyboard.on('keydown', (event) => {
+      (state.codes[event.keyCode] || []).forEach(action => this.dispatch(scene, action));
     });
 
-    scene.tweens.add({
-      targets: progressBar2,
-      width: 496,
-      duration: 1800,
-      ease: 'Power1',
-      delay: 200
+    if (scene.input.gamepad) {
+      scene.input.gamepad.on('down', (pad, button) => {
+        this.actions.forEach(action => {
+          if (GAME_CONSTANTS.GAMEPAD_BINDINGS[action].includes(button.index)) this.dispatch(scene, action);
+        });
+      });
+    }
+
+    scene.events.on('update', state.poll);
+    scene.events.once('shutdown', () => {
+      scene.events.off('update', state.poll);
+      scene.inputActions = null;
     });
+  },
 
-    // 80s-style percentage counter
-    const percentText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 320, '0%', {
-      fontSize: '20px',
-      fill: '#ffff00',
-      fontFamily: 'Press Start 2P'
-    }).setOrigin(0.5);
-    percentText.setShadow(1, 1, '#000000', 3);
-    gameState.introElements.push(percentText);
+  // Rebuilds the scene's key objects after the bindings change
+  refreshKeys(scene) {
+    const state = scene.inputActions;
+    if (!state) return;
 
-    // Update percentage with progress (synchronized with progress bar)
-    let currentPercent = 0;
-    const percentInterval = scene.time.addEvent({
-      delay: 22, // 2200ms total / 100 steps = 22ms per step
-      repeat: 100,
-      callback: () => {
-        currentPercent++;
-        percentText.setText(currentPercent + '%');
-        // Flicker effect for extra 80s feel
-        if (Math.random() > 0.9) {
-          percentText.setFill('#ff0000');
-          setTimeout(() => percentText.setFill('#ffff00'), 50);
-        }
-      }
+    const bindings = this.getBindings();
+    Object.keys(state.keys).forEach(action => {
+      state.keys[action].forEach(key => scene.input.keyboard.removeKey(key));
     });
+    state.keys = {};
+    state.codes = {};
+    this.actions.forEach(action => {
+      state.keys[action] = bindings[action].map(name => scene.input.keyboard.addKey(name));
+      bindings[action].forEach(name => {
+        const code = Phaser.Input.Keyboard.KeyCodes[name];
+        state.codes[code] = (state.codes[code] || []).concat(action);
+      });
+    });
+  },
 
-    // Enhanced loading sequence with multiple phases
-    let messageIndex = 0;
-    let dotCount = 0;
+  // Use '*' to hear every action (idle timers and the like)
+  onAction(scene, action, handler) {
+    const state = scene.inputActions;
+    if (!state) return;
+    state.handlers[action] = (state.handlers[action] || []).concat(handler);
+  },
 
-    const loadingInterval = scene.time.addEvent({
-      delay: 400,
-      repeat: 15,
-      callback: () => {
-        // Update main loading text with animation
-        dotCount = (dotCount + 1) % 4;
-        loadingText.setText('SYSTEM BOOTING UP' + '.'.repeat(dotCount));
+  offAction(scene, action, handler) {
+    const state = scene.inputActions;
+    if (!state || !state.handlers[action]) return;
+    state.handlers[action] = state.handlers[action].filter(fn => fn !== handler);
+  },
 
-        // Color cycle the main text
-        const colors = ['#00ffff', '#0080ff', '#0000ff', '#8000ff', '#ff00ff', '#ff0080', '#ff0000', '#ff8000', '#ffff00', '#80ff00', '#00ff00', '#00ff80'];
-        loadingText.setFill(colors[Math.floor(Date.now() / 200) % colors.length]);
+  onceAction(scene, action, handler) {
+    const wrapper = (name) => {
+      this.offAction(scene, action, wrapper);
+      handler(name);
+    };
+    this.onAction(scene, action, wrapper);
+  },
 
-        // Play retro sound effects
-        AudioSystem.createBeep(200 + Math.random() * 200, 0.03, 'square', 0.1);
+  dispatch(scene, action) {
+    const state = scene.inputActions;
+    if (!state) return;
 
-        // Update status messages every few cycles
-        if (messageIndex < statusMessages.length && loadingInterval.repeatCount % 3 === 0) {
-          statusText.setText(statusMessages[messageIndex]);
-          messageIndex++;
+    // Copy first - handlers often unsubscribe themselves or start another scene
+    const handlers = (state.handlers[action] || []).concat(state.handlers['*'] || []);
+    handlers.forEach(handler => {
+      if (scene.inputActions === state) handler(action);
+    });
+  },
+
+  getPad(scene) {
+    const gamepad = scene.input.gamepad;
+    if (!gamepad || !gamepad.total) return null;
+    return gamepad.pad1 || null;
+  },
+
+  isDown(scene, action) {
+    const state = scene.inputActions;
+    if (!state) return false;
+
+    if ((state.keys[action] || []).some(key => key.isDown)) return true;
+
+    const pad = this.getPad(scene);
+    if (!pad) return false;
+    return (GAME_CONSTANTS.GAMEPAD_BINDINGS[action] || []).some(index => pad.buttons[index] && pad.buttons[index].pressed);
+  },
+
+  // Movement as x/y in -1..1: the analog stick when it is pushed past the dead zone, digital input otherwise
+  getMoveVector(scene) {
+    const pad = this.getPad(scene);
+    if (pad && pad.leftStick) {
+      const x = pad.leftStick.x;
+      const y = pad.leftStick.y;
+      const length = Math.sqrt(x * x + y * y);
+      if (length > GAME_CONSTANTS.GAMEPAD_DEADZONE) {
+        const scale = length > 1 ? 1 / length : 1;
+        return { x: x * scale, y: y * scale };
+      }
+    }
+
+    return {
+      x: (this.isDown(scene, 'right') ? 1 : 0) - (this.isDown(scene, 'left') ? 1 : 0),
+      y: (this.isDown(scene, 'down') ? 1 : 0) - (this.isDown(scene, 'up') ? 1 : 0)
+    };
+  },
+
+  // A firm push on the stick counts as one d-pad press, so menus and initials entry work from the stick too
+  pollStick(scene) {
+    const state = scene.inputActions;
+    const pad = this.getPad(scene);
+    if (!state || !pad || !pad.leftStick) return;
+
+    const threshold = GAME_CONSTANTS.GAMEPAD_MENU_THRESHOLD;
+    const pushed = {
+      left: pad.leftStick.x < -threshold,
+      right: pad.leftStick.x > threshold,
+      up: pad.leftStick.y < -threshold,
+      down: pad.leftStick.y > threshold
+    };
+
+    Object.keys(pushed).forEach(action => {
+      if (pushed[action] && !state.stick[action]) this.dispatch(scene, action);
+      state.stick[action] = pushed[action];
+    });
+  }
+};
+
+/**
+ * High Score System
+ * Persists the top scores in localStorage and handles arcade-style initials entry
+ */
+const HighScoreSystem = {
+  // Each difficulty has its own table; Normal keeps the key of the single table from before the presets
+  getStorageKey(difficulty) {
+    const preset = DifficultySystem.resolve(difficulty);
+    return preset === GAME_CONSTANTS.DEFAULT_DIFFICULTY
+      ? GAME_CONSTANTS.HIGH_SCORE_STORAGE_KEY
+      : `${GAME_CONSTANTS.HIGH_SCORE_STORAGE_KEY}-${preset}`;
+  },
+
+  // Tables default to the difficulty being played
+  load(difficulty = gameState.difficulty) {
+    try {
+      const raw = window.localStorage.getItem(this.getStorageKey(difficulty));
+      if (!raw) return [];
+
+      const data = JSON.parse(raw);
+      if (!data || data.version !== GAME_CONSTANTS.HIGH_SCORE_VERSION || !Array.isArray(data.entries)) {
+        console.warn('🏆 SCORES: Ignoring stored high scores with unknown format');
+        return [];
+      }
+
+      return data.entries
+        .filter(entry => entry && typeof entry.initials === 'string' && Number.isFinite(entry.score))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, GAME_CONSTANTS.HIGH_SCORE_MAX_ENTRIES);
+    } catch (error) {
+      console.warn('❌ SCORES: Failed to load high scores:', error);
+      return [];
+    }
+  },
+
+  save(entries, difficulty = gameState.difficulty) {
+    try {
+      window.localStorage.setItem(this.getStorageKey(difficulty), JSON.stringify({
+        version: GAME_CONSTANTS.HIGH_SCORE_VERSION,
+        entries: entries
+      }));
+    } catch (error) {
+      console.warn('❌ SCORES: Failed to save high scores:', error);
+    }
+  },
+
+  // Runs started from the editor play custom levels, so they stay off the tables
+  qualifies(score) {
+    if (score <= 0 || gameState.levels) return false;
+
+    const entries = this.load();
+    if (entries.length < GAME_CONSTANTS.HIGH_SCORE_MAX_ENTRIES) return true;
+    return score > entries[entries.length - 1].score;
+  },
+
+  // Returns the zero-based rank of the new entry, or -1 if it did not make the table
+  addScore(initials, score, round) {
+    const entries = this.load();
+    const entry = {
+      initials: initials,
+      score: score,
+      round: round,
+      date: new Date().toISOString()
+    };
+
+    // Ties keep the older entry on top, as on the cabinets
+    let rank = entries.findIndex(existing => score > existing.score);
+    if (rank === -1) rank = entries.length;
+    entries.splice(rank, 0, entry);
+
+    const trimmed = entries.slice(0, GAME_CONSTANTS.HIGH_SCORE_MAX_ENTRIES);
+    this.save(trimmed);
+    console.log(`🏆 SCORES: ${initials} entered the table at #${rank + 1} with ${score}`);
+    return rank < trimmed.length ? rank : -1;
+  },
+
+  createScoreTable(scene, x, y, highlightRank = -1, difficulty = gameState.difficulty) {
+    const elements = [];
+    const entries = this.load(difficulty);
+    const crownColors = ['#ffd700', '#c0c0c0', '#cd7f32'];
+
+    const header = scene.add.text(x, y, `${DifficultySystem.getLabel(difficulty)} HIGH SCORES`, {
+      fontSize: '12px',
+      fill: '#ff00ff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    header.setShadow(1, 1, '#000000', 2);
+    elements.push(header);
+
+    if (entries.length === 0) {
+      elements.push(scene.add.text(x, y + 22, 'NO SCORES YET', {
+        fontSize: '10px',
+        fill: '#888888',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5));
+      return elements;
+    }
+
+    entries.forEach((entry, index) => {
+      const rowY = y + 20 + index * 13;
+      const crown = index < 3 ? '♛' : ' ';
+      const rank = String(index + 1).padStart(2, ' ');
+      const score = String(entry.score).padStart(7, ' ');
+      const round = `R${String(entry.round || 1).padStart(2, '0')}`;
+
+      const row = scene.add.text(x, rowY, `${crown} ${rank}. ${entry.initials} ${score} ${round}`, {
+        fontSize: '10px',
+        fill: index < 3 ? crownColors[index] : '#ffffff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+      elements.push(row);
+
+      // Blink the freshly entered score
+      if (index === highlightRank) {
+        scene.tweens.add({
+          targets: row,
+          alpha: { from: 1, to: 0.2 },
+          duration: 300,
+          repeat: -1,
+          yoyo: true
+        });
+      }
+    });
+
+    return elements;
+  },
+
+  showInitialsEntry(scene, score, round, onComplete) {
+    console.log(`🏆 SCORES: ${score} qualifies for the table - starting initials entry`);
+
+    const alphabet = GAME_CONSTANTS.INITIALS_ALPHABET;
+    const letterIndexes = new Array(GAME_CONSTANTS.INITIALS_LENGTH).fill(0);
+    let cursor = 0;
+    const elements = [];
+
+    const titleText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 110, 'NEW HIGH SCORE!', {
+      fontSize: '24px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    titleText.setShadow(2, 2, '#000000', 4);
+    elements.push(titleText);
+
+    scene.tweens.add({
+      targets: titleText,
+      alpha: { from: 1, to: 0.4 },
+      duration: 400,
+      repeat: -1,
+      yoyo: true
+    });
+
+    elements.push(scene.add.text(GAME_CONSTANTS.WIDTH / 2, 150, 'ENTER YOUR INITIALS', {
+      fontSize: '14px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5));
+
+    const letterTexts = letterIndexes.map((_, index) => {
+      const letter = scene.add.text(GAME_CONSTANTS.WIDTH / 2 + (index - 1) * 48, 200, alphabet[0], {
+        fontSize: '32px',
+        fill: '#ffffff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+      elements.push(letter);
+      return letter;
+    });
+
+    const cursorMarker = scene.add.text(0, 232, '^', {
+      fontSize: '16px',
+      fill: '#ff00ff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    elements.push(cursorMarker);
+
+    elements.push(scene.add.text(GAME_CONSTANTS.WIDTH / 2, 260, `UP/DOWN: LETTER  ${InputSystem.describe('confirm')}: OK`, {
+      fontSize: '10px',
+      fill: '#888888',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5));
+
+    const refresh = () => {
+      letterTexts.forEach((text, index) => {
+        text.setText(alphabet[letterIndexes[index]]);
+        text.setFill(index === cursor ? '#ffff00' : '#ffffff');
+      });
+      cursorMarker.setX(letterTexts[cursor].x);
+    };
+
+    const cycleLetter = (step) => {
+      letterIndexes[cursor] = (letterIndexes[cursor] + step + alphabet.length) % alphabet.length;
+      AudioSystem.createBeep(600 + letterIndexes[cursor] * 10, 0.05, 'square', 0.15);
+      refresh();
+    };
+
+    const moveCursor = (step) => {
+      cursor = Phaser.Math.Clamp(cursor + step, 0, letterTexts.length - 1);
+      AudioSystem.createBeep(500, 0.05, 'square', 0.15);
+      refresh();
+    };
+
+    const confirm = () => {
+      if (cursor < letterTexts.length - 1) {
+        cursor++;
+        AudioSystem.createBeep(900, 0.08, 'square', 0.2);
+        refresh();
+        return;
+      }
+
+      const initials = letterIndexes.map(index => alphabet[index]).join('');
+      const rank = this.addScore(initials, score, round);
+      AudioSystem.playStartSound();
+      this.closeInitialsEntry();
+
+      if (typeof onComplete === 'function') {
+        onComplete(rank);
+      }
+    };
+
+    const handlers = {
+      up: () => cycleLetter(1),
+      down: () => cycleLetter(-1),
+      left: () => moveCursor(-1),
+      right: () => moveCursor(1),
+      confirm: confirm
+    };
+
+    Object.keys(handlers).forEach(action => {
+      InputSystem.onAction(scene, action, handlers[action]);
+    });
+
+    gameState.initialsEntry = { scene, elements, handlers };
+    refresh();
+  },
+
+  closeInitialsEntry() {
+    const entry = gameState.initialsEntry;
+    if (!entry) return;
+
+    Object.keys(entry.handlers).forEach(action => {
+      InputSystem.offAction(entry.scene, action, entry.handlers[action]);
+    });
+    entry.elements.forEach(element => {
+      if (element && element.destroy) element.destroy();
+    });
+    gameState.initialsEntry = null;
+  }
+};
+
+/**
+ * JSON File System
+ * Downloads data as a .json file and reads one back through a file picker; used for levels and replays
+ */
+const JsonFileSystem = {
+  save(fileName, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  },
+
+  // Calls onText with the picked file's contents, or onError when it cannot be read
+  open(onText, onError) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      file.text()
+        .then(onText)
+        .catch(error => {
+          console.warn('❌ FILES: Failed to read file:', error);
+          if (onError) onError(error);
+        });
+    });
+    input.click();
+  },
+
+  // "Cooling Loop" -> "cooling-loop.json"
+  toFileName(name, fallback) {
+    return `${String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || fallback}.json`;
+  }
+};
+
+/**
+ * Replay System
+ * Records every live run as its seed plus one input per simulation step (run-length encoded), and plays
+ * a recording back by feeding those inputs to the same fixed-step simulation.
+ * Replay format:
+ *   { version, build, seed, difficulty, timestep, score, round, date, continues, inputs: [[steps, moveX, moveY, confirm], ...], levels? }
+ * difficulty is the DIFFICULTY_PRESETS key the run was played on; continues counts the credits spent to keep the run going; the score is the one after the last of them.
+ * levels is only there for runs started from the editor: the rounds they played instead of the built-in set.
+ */
+const ReplaySystem = {
+  // Stick input is rounded so that the recorded value is exactly the one the simulation used
+  quantize(value) {
+    return Math.round(value * 100) / 100;
+  },
+
+  // confirm is the action button. A press that started the run, took a continue or closed the pause menu
+  // is still down when play picks up, so it only counts once it has been let go (scene.confirmLatched).
+  sampleInput(scene) {
+    const move = InputSystem.getMoveVector(scene);
+    let confirm = InputSystem.isDown(scene, 'confirm');
+    if (scene.confirmLatched) {
+      if (confirm) {
+        confirm = false;
+      } else {
+        scene.confirmLatched = false;
+      }
+    }
+    return {
+      x: this.quantize(move.x),
+      y: this.quantize(move.y),
+      confirm: confirm
+    };
+  },
+
+  startRecording() {
+    gameState.recording = { inputs: [], continues: 0 };
+  },
+
+  recordContinue() {
+    if (gameState.recording) gameState.recording.continues++;
+  },
+
+  // True when the recorded run took another continue here; uses it up
+  takeContinue() {
+    const playback = gameState.replay;
+    if (!playback || playback.continuesUsed >= playback.log.continues) return false;
+    playback.continuesUsed++;
+    return true;
+  },
+
+  record(input) {
+    const recording = gameState.recording;
+    if (!recording) return;
+
+    const confirm = input.confirm ? 1 : 0;
+    const last = recording.inputs[recording.inputs.length - 1];
+    if (last && last[1] === input.x && last[2] === input.y && last[3] === confirm) {
+      last[0]++;
+    } else {
+      recording.inputs.push([1, input.x, input.y, confirm]);
+    }
+  },
+
+  // The finished log of the live run, or null when nothing was recorded (play-tests, replays)
+  finishRecording() {
+    const recording = gameState.recording;
+    if (!recording) return null;
+
+    gameState.recording = null;
+    return {
+      version: GAME_CONSTANTS.REPLAY_VERSION,
+      build: GAME_CONSTANTS.BUILD_VERSION,
+      seed: gameState.seed,
+      difficulty: gameState.sim.difficulty,
+      timestep: GAME_CONSTANTS.FIXED_TIMESTEP,
+      score: gameState.sim.score,
+      round: gameState.sim.round,
+      date: new Date().toISOString(),
+      continues: recording.continues,
+      inputs: recording.inputs,
+      levels: gameState.levels || undefined
+    };
+  },
+
+  // Checks a replay given as an object or JSON text; returns null when it cannot be played
+  load(source) {
+    try {
+      const data = typeof source === 'string' ? JSON.parse(source) : source;
+      if (!data || data.version !== GAME_CONSTANTS.REPLAY_VERSION || typeof data.seed !== 'string' || !Array.isArray(data.inputs)) {
+        console.warn('📼 REPLAY: Ignoring replay with unknown format');
+        return null;
+      }
+
+      const timestep = Number.isFinite(data.timestep) && data.timestep > 0 && data.timestep <= GAME_CONSTANTS.MAX_FRAME_DELTA
+        ? data.timestep
+        : GAME_CONSTANTS.FIXED_TIMESTEP;
+      if (data.build !== GAME_CONSTANTS.BUILD_VERSION) {
+        console.warn(`📼 REPLAY: Recorded on build ${data.build}, this is ${GAME_CONSTANTS.BUILD_VERSION} - it may play out differently`);
+      }
+
+      // A run on custom levels cannot be played back on any others
+      const levels = Array.isArray(data.levels) ? data.levels.map(level => LevelSystem.load(level)) : null;
+      if (levels && (levels.length === 0 || levels.includes(null))) {
+        console.warn('📼 REPLAY: Ignoring replay with a level that cannot be played');
+        return null;
+      }
+
+      return {
+        version: data.version,
+        build: String(data.build),
+        seed: data.seed,
+        difficulty: DifficultySystem.resolve(data.difficulty),
+        timestep: timestep,
+        score: Number.isFinite(data.score) ? data.score : 0,
+        round: Number.isFinite(data.round) ? data.round : 1,
+        date: String(data.date || ''),
+        continues: Number.isInteger(data.continues) && data.continues > 0 ? data.continues : 0,
+        inputs: data.inputs.filter(entry =>
+          Array.isArray(entry) && entry.length === 4 && entry.every(Number.isFinite) && entry[0] > 0),
+        levels: levels
+      };
+    } catch (error) {
+      console.warn('❌ REPLAY: Failed to load replay:', error);
+      return null;
+    }
+  },
+
+  loadStored() {
+    try {
+      const raw = window.localStorage.getItem(GAME_CONSTANTS.REPLAY_STORAGE_KEY);
+      if (!raw) return {};
+
+      const data = JSON.parse(raw);
+      if (!data || data.version !== GAME_CONSTANTS.REPLAY_VERSION || !data.replays) {
+        console.warn('📼 REPLAY: Ignoring stored replays with unknown format');
+        return {};
+      }
+      return data.replays;
+    } catch (error) {
+      console.warn('❌ REPLAY: Failed to load replays:', error);
+      return {};
+    }
+  },
+
+  saveStored(replays) {
+    try {
+      window.localStorage.setItem(GAME_CONSTANTS.REPLAY_STORAGE_KEY, JSON.stringify({
+        version: GAME_CONSTANTS.REPLAY_VERSION,
+        replays: replays
+      }));
+    } catch (error) {
+      console.warn('❌ REPLAY: Failed to save replays:', error);
+    }
+  },
+
+  // Keeps the replay of a new high score; only replays of scores still on the table are stored
+  saveForScore(rank, replay) {
+    const entries = HighScoreSystem.load();
+    const entry = entries[rank];
+    if (!entry || !replay) return;
+
+    entry.replayId = `${Date.now().toString(36)}-${entry.initials}`;
+    HighScoreSystem.save(entries);
+
+    const stored = this.loadStored();
+    stored[entry.replayId] = replay;
+    const kept = {};
+    DifficultySystem.getNames().forEach(difficulty => HighScoreSystem.load(difficulty).forEach(other => {
+      if (other.replayId && stored[other.replayId]) kept[other.replayId] = stored[other.replayId];
+    }));
+    this.saveStored(kept);
+    console.log(`📼 REPLAY: Saved with ${entry.initials}'s score`);
+  },
+
+  getForEntry(entry) {
+    if (!entry || !entry.replayId) return null;
+    const stored = this.loadStored()[entry.replayId];
+    return stored ? this.load(stored) : null;
+  },
+
+  // Attract mode shows off the best run on the table
+  getAttractReplay() {
+    const entry = HighScoreSystem.load().find(other => this.getForEntry(other));
+    return entry ? this.getForEntry(entry) : null;
+  },
+
+  exportFile(replay) {
+    if (!replay) return;
+    JsonFileSystem.save(JsonFileSystem.toFileName(`replay-${replay.seed}-${replay.score}`, 'replay'), replay);
+  },
+
+  startPlayback(scene, replay, attract) {
+    console.log(`📼 REPLAY: Playing seed ${replay.seed} (${replay.score} points, round ${replay.round})`);
+    gameState.replay = {
+      log: replay,
+      attract: attract,
+      index: 0,
+      used: 0,
+      continuesUsed: 0,
+      speedIndex: 0,
+      paused: false,
+      ended: false
+    };
+
+    scene.replayText = scene.add.text(GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.BOUNDS_PADDING, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.BOUNDS_PADDING,
+      '', {
+        fontSize: '12px',
+        fill: '#ff00ff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(1, 1);
+
+    // In attract mode the replay is one page of the loop, and the cabinet controls take over
+    if (attract) {
+      scene.time.delayedCall(GAME_CONSTANTS.ATTRACT_PAGE_DURATIONS.replay, () => this.exit(scene));
+      InputSystem.onAction(scene, 'back', () => this.exit(scene));
+    } else {
+      InputSystem.onAction(scene, 'confirm', () => this.togglePause(scene));
+      InputSystem.onAction(scene, 'pause', () => this.togglePause(scene));
+      InputSystem.onAction(scene, 'right', () => this.changeSpeed(scene, 1));
+      InputSystem.onAction(scene, 'left', () => this.changeSpeed(scene, -1));
+      InputSystem.onAction(scene, 'down', () => this.stepOnce(scene));
+      InputSystem.onAction(scene, 'back', () => this.exit(scene));
+      InputSystem.onAction(scene, 'export', () => this.exportFile(replay));
+    }
+    this.updateHUD(scene);
+  },
+
+  // The recorded input for the next step, or null once the log runs out
+  nextInput() {
+    const playback = gameState.replay;
+    const entry = playback.log.inputs[playback.index];
+    if (!entry) return null;
+
+    playback.used++;
+    if (playback.used >= entry[0]) {
+      playback.index++;
+      playback.used = 0;
+    }
+    return { x: entry[1], y: entry[2], confirm: entry[3] === 1 };
+  },
+
+  // Simulation speed for the frame: 0 while paused
+  getSpeed() {
+    const playback = gameState.replay;
+    if (!playback) return 1;
+    return playback.paused ? 0 : GAME_CONSTANTS.REPLAY_SPEEDS[playback.speedIndex];
+  },
+
+  togglePause(scene) {
+    const playback = gameState.replay;
+    if (playback.ended) return;
+    playback.paused = !playback.paused;
+    this.updateHUD(scene);
+  },
+
+  changeSpeed(scene, step) {
+    const playback = gameState.replay;
+    playback.speedIndex = Phaser.Math.Clamp(playback.speedIndex + step, 0, GAME_CONSTANTS.REPLAY_SPEEDS.length - 1);
+    this.updateHUD(scene);
+  },
+
+  // Advances a paused replay by exactly one simulation step
+  stepOnce(scene) {
+    const playback = gameState.replay;
+    if (!playback.paused || playback.ended) return;
+    scene.step(playback.log.timestep);
+    this.updateHUD(scene);
+  },
+
+  updateHUD(scene) {
+    const playback = gameState.replay;
+    if (!scene.replayText || !playback) return;
+
+    const state = playback.paused ? 'PAUSED' : `${this.getSpeed()}x`;
+    const controls = playback.attract ? '' : `\nLEFT/RIGHT SPEED  CONFIRM PAUSE  DOWN STEP  ${InputSystem.describe('export')} SAVE`;
+    scene.replayText.setText(`REPLAY ${playback.log.seed} ${state}${controls}`).setAlign('right');
+  },
+
+  // Called when the replayed run ends, or when the log runs out first
+  endPlayback(scene) {
+    const playback = gameState.replay;
+    if (!playback || playback.ended) return;
+
+    playback.ended = true;
+    const sim = gameState.sim;
+    sim.gameOver = true;
+
+    const log = playback.log;
+    if (sim.score !== log.score || sim.round !== log.round) {
+      console.warn(`❌ REPLAY: Ended on ${sim.score} points in round ${sim.round}, recorded ${log.score} in round ${log.round} - the run diverged`);
+    }
+
+    scene.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2, 'REPLAY OVER', {
+      fontSize: '32px',
+      fill: '#ff00ff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5).setShadow(2, 2, '#000000', 4);
+
+    scene.time.delayedCall(GAME_CONSTANTS.REPLAY_END_DELAY, () => this.exit(scene));
+  },
+
+  // Back to the high score table the replay was picked from, or on with the attract loop
+  exit(scene) {
+    const attract = gameState.replay && gameState.replay.attract;
+    const difficulty = gameState.replay ? gameState.replay.log.difficulty : null;
+    GameLogicSystem.resetRunState();
+
+    if (attract) {
+      scene.scene.start('Title', { attract: true });
+    } else {
+      scene.scene.start('HighScore', { difficulty: difficulty });
+    }
+  }
+};
+
+/**
+ * Attract System
+ * Insert Coin loop shown while the cabinet is idle: credits, title, high scores and a demo
+ */
+const AttractSystem = {
+  pages: ['insertCoin', 'title', 'highScores', 'replay', 'demo'],
+
+  start(scene) {
+    console.log('=== ATTRACT MODE STARTED ===');
+    this.clearPage(scene);
+    GameLogicSystem.clearTitleScreen.call(scene);
+
+    gameState.attractActive = true;
+    gameState.attractPageIndex = -1;
+    this.showCreditText(scene);
+    this.nextPage(scene);
+  },
+
+  stop(scene) {
+    if (!gameState.attractActive) return;
+
+    console.log('=== ATTRACT MODE STOPPED ===');
+    this.clearPage(scene);
+    gameState.attractActive = false;
+  },
+
+  nextPage(scene) {
+    this.clearPage(scene);
+
+    gameState.attractPageIndex = (gameState.attractPageIndex + 1) % this.pages.length;
+    const page = this.pages[gameState.attractPageIndex];
+    console.log(`📺 ATTRACT: Showing ${page} page`);
+
+    // The high score table is its own scene, which hands back to the Title scene when its page time is up
+    if (page === 'highScores') {
+      scene.scene.start('HighScore', { attract: true });
+      return;
+    }
+
+    // So is a replay of the best recorded run - skipped until there is one
+    if (page === 'replay') {
+      const replay = ReplaySystem.getAttractReplay();
+      if (replay) {
+        scene.scene.start('Game', { replay: replay, attract: true });
+      } else {
+        this.nextPage(scene);
+      }
+      return;
+    }
+
+    switch (page) {
+      case 'insertCoin': this.showInsertCoinPage(scene); break;
+      case 'title': GameLogicSystem.showTitleScreen.call(scene); break;
+      case 'demo': this.startDemo(scene); break;
+    }
+
+    gameState.attractTimer = scene.time.delayedCall(GAME_CONSTANTS.ATTRACT_PAGE_DURATIONS[page], () => {
+      this.nextPage(scene);
+    });
+  },
+
+  clearPage(scene) {
+    if (gameState.attractTimer) {
+      gameState.attractTimer.remove(false);
+      gameState.attractTimer = null;
+    }
+
+    gameState.attractElements.forEach(element => {
+      if (element && element.destroy) element.destroy();
+    });
+    gameState.attractElements = [];
+    gameState.attractDemo = null;
+
+    GameLogicSystem.clearTitleScreen.call(scene);
+  },
+
+  showInsertCoinPage(scene) {
+    const elements = gameState.attractElements;
+
+    const logo = scene.add.sprite(GAME_CONSTANTS.WIDTH / 2, 180, 'logo').setOrigin(0.5).setScale(0.9);
+    elements.push(logo);
+
+    const insertCoinText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 360, 'INSERT COIN', {
+      fontSize: '32px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    insertCoinText.setShadow(2, 2, '#000000', 4);
+    elements.push(insertCoinText);
+
+    // Classic hard on/off blink rather than a fade
+    scene.tweens.add({
+      targets: insertCoinText,
+      alpha: { from: 1, to: 0 },
+      duration: 500,
+      ease: 'Stepped',
+      repeat: -1,
+      yoyo: true
+    });
+
+    elements.push(scene.add.text(GAME_CONSTANTS.WIDTH / 2, 420, gameState.freePlay ? 'PRESS START' : '1 COIN  1 PLAY', {
+      fontSize: '14px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5));
+
+    elements.push(scene.add.text(GAME_CONSTANTS.WIDTH / 2, 460, `PRESS ${InputSystem.describe('coin', true)} TO INSERT COIN`, {
+      fontSize: '10px',
+      fill: '#888888',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5));
+  },
+
+  startDemo(scene) {
+    const elements = gameState.attractElements;
+
+    // One of every enemy type, run by the same GameCore rules as live play
+    const state = GameCore.createState({ levels: [] });
+    const spots = SpawnSystem.findSpots(state, 'enemy', GAME_CONSTANTS.ENEMY_TYPES.length);
+    GAME_CONSTANTS.ENEMY_TYPES.forEach((type, index) => GameCore.spawnEnemy(state, spots[index].x, spots[index].y, type));
+    this.spawnDemoCollectibles(state);
+
+    const demoText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 60, 'DEMO PLAY', {
+      fontSize: '20px',
+      fill: '#ff00ff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    elements.push(demoText);
+
+    const insertCoinText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT - 80, 'INSERT COIN', {
+      fontSize: '16px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    elements.push(insertCoinText);
+
+    scene.tweens.add({
+      targets: insertCoinText,
+      alpha: { from: 1, to: 0 },
+      duration: 500,
+      ease: 'Stepped',
+      repeat: -1,
+      yoyo: true
+    });
+
+    gameState.attractDemo = { state: state, view: RenderSystem.createView(scene, elements) };
+    RenderSystem.draw(gameState.attractDemo.view, state);
+  },
+
+  spawnDemoCollectibles(state) {
+    SpawnSystem.findSpots(state, 'collectible', GAME_CONSTANTS.ATTRACT_DEMO_COLLECTIBLES)
+      .forEach(spot => GameCore.spawnCollectible(state, spot.x, spot.y));
+  },
+
+  updateDemo(scene, delta) {
+    const demo = gameState.attractDemo;
+    if (!demo) return;
+
+    const state = demo.state;
+    const player = state.player;
+    GameCore.moveEnemies(state, delta);
+
+    // Demo pilot: head for the nearest GPU, steer away from any enemy that gets close
+    const target = state.collectibles.reduce((nearest, collectible) => {
+      const distance = Phaser.Math.Distance.Between(player.x, player.y, collectible.x, collectible.y);
+      return !nearest || distance < nearest.distance ? { collectible, distance } : nearest;
+    }, null);
+
+    let steerX = 0;
+    let steerY = 0;
+    if (target) {
+      steerX = (target.collectible.x - player.x) / target.distance;
+      steerY = (target.collectible.y - player.y) / target.distance;
+    }
+
+    state.enemies.forEach(enemy => {
+      const distance = Phaser.Math.Distance.Between(player.x, player.y, enemy.x, enemy.y);
+      if (distance > 0 && distance < GAME_CONSTANTS.ATTRACT_DEMO_AVOID_RADIUS) {
+        const push = (GAME_CONSTANTS.ATTRACT_DEMO_AVOID_RADIUS - distance) / GAME_CONSTANTS.ATTRACT_DEMO_AVOID_RADIUS;
+        steerX += ((player.x - enemy.x) / distance) * push * 2;
+        steerY += ((player.y - enemy.y) / distance) * push * 2;
+      }
+    });
+
+    const length = Math.sqrt(steerX * steerX + steerY * steerY);
+    const step = GAME_CONSTANTS.PLAYER_SPEED * GameCore.frameSeconds(delta);
+    if (length > 0) {
+      player.x += (steerX / length) * step;
+      player.y += (steerY / length) * step;
+    }
+
+    player.x = Phaser.Math.Clamp(player.x, GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.PLAYER_SIZE);
+    player.y = Phaser.Math.Clamp(player.y, GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.PLAYER_SIZE);
+
+    // Silent pickups - attract mode never makes noise on its own
+    state.collectibles = state.collectibles.filter(collectible =>
+      Phaser.Math.Distance.Between(player.x, player.y, collectible.x, collectible.y) >= GAME_CONSTANTS.COLLECTIBLE_SIZE);
+
+    if (state.collectibles.length === 0) {
+      this.spawnDemoCollectibles(state);
+    }
+
+    RenderSystem.draw(demo.view, state);
+
+    const touched = state.enemies.some(enemy =>
+      Phaser.Math.Distance.Between(player.x, player.y, enemy.x, enemy.y) < GAME_CONSTANTS.ENEMY_SIZE);
+    if (touched) demo.view.player.setTint(0xff0000);
+  },
+
+  showCreditText(scene) {
+    if (!gameState.creditText || !gameState.creditText.scene) {
+      gameState.creditText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT - 24, '', {
+        fontSize: '12px',
+        fill: '#ffffff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5).setDepth(10);
+    }
+
+    gameState.creditText.setVisible(true);
+    this.updateCreditText();
+  },
+
+  updateCreditText() {
+    if (!gameState.creditText) return;
+    gameState.creditText.setText(gameState.freePlay ? 'FREE PLAY' : `CREDIT ${gameState.credits}`);
+  },
+
+  insertCoin(scene) {
+    // A coin drop is a user gesture, so it is a good moment to unlock audio
+    AudioSystem.unlock();
+
+    if (gameState.credits >= GAME_CONSTANTS.MAX_CREDITS) {
+      console.log('🪙 CREDITS: Credit limit reached, coin rejected');
+      return;
+    }
+
+    gameState.credits++;
+    console.log(`🪙 CREDITS: Coin inserted, credits now ${gameState.credits}`);
+    AudioSystem.playCoinSound();
+    this.updateCreditText();
+
+    // Jump straight to the start prompt
+    if (gameState.attractActive) {
+      this.stop(scene);
+      if (scene.scene.key === 'Title') {
+        GameLogicSystem.showTitleScreen.call(scene);
+      } else {
+        scene.scene.start('Title');
+      }
+    }
+  },
+
+  toggleFreePlay(scene) {
+    gameState.freePlay = !gameState.freePlay;
+    console.log(`🪙 CREDITS: Free play ${gameState.freePlay ? 'enabled' : 'disabled'}`);
+
+    try {
+      window.localStorage.setItem(GAME_CONSTANTS.FREE_PLAY_STORAGE_KEY, JSON.stringify(gameState.freePlay));
+    } catch (error) {
+      console.warn('❌ CREDITS: Failed to save free play setting:', error);
+    }
+
+    this.updateCreditText();
+  },
+
+  // Like a cabinet's DIP switches, the difficulty stays set for every game after
+  changeDifficulty(step) {
+    gameState.difficulty = DifficultySystem.cycle(gameState.difficulty, step);
+    console.log(`🪙 CREDITS: Difficulty set to ${DifficultySystem.getLabel(gameState.difficulty)}`);
+
+    try {
+      window.localStorage.setItem(GAME_CONSTANTS.DIFFICULTY_STORAGE_KEY, JSON.stringify(gameState.difficulty));
+    } catch (error) {
+      console.warn('❌ CREDITS: Failed to save difficulty setting:', error);
+    }
+  },
+
+  loadDifficulty() {
+    try {
+      return DifficultySystem.resolve(JSON.parse(window.localStorage.getItem(GAME_CONSTANTS.DIFFICULTY_STORAGE_KEY)));
+    } catch (error) {
+      return GAME_CONSTANTS.DEFAULT_DIFFICULTY;
+    }
+  },
+
+  loadFreePlay() {
+    try {
+      return JSON.parse(window.localStorage.getItem(GAME_CONSTANTS.FREE_PLAY_STORAGE_KEY)) === true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  canStart() {
+    return gameState.freePlay || gameState.credits > 0;
+  },
+
+  consumeCredit(scene) {
+    if (gameState.freePlay) return true;
+    if (gameState.credits <= 0) return false;
+
+    gameState.credits--;
+    console.log(`🪙 CREDITS: Credit used, ${gameState.credits} left`);
+    this.updateCreditText();
+    return true;
+  },
+
+  flashInsertCoin(scene) {
+    AudioSystem.createBeep(150, 0.15, 'square', 0.2);
+    if (!gameState.creditText) return;
+
+    scene.tweens.add({
+      targets: gameState.creditText,
+      alpha: { from: 1, to: 0 },
+      duration: 100,
+      repeat: 3,
+      yoyo: true
+    });
+  },
+
+  // The title screen falls back into attract mode when nobody touches the controls
+  checkIdle(scene) {
+    if (!gameState.titleActive || !this.isIdle(scene)) return;
+
+    console.log('📺 ATTRACT: No input for a while - returning to attract mode');
+    this.start(scene);
+  },
+
+  isIdle(scene) {
+    return scene.game.loop.time - gameState.lastInputTime >= GAME_CONSTANTS.ATTRACT_IDLE_TIMEOUT;
+  },
+
+  resetIdle(scene) {
+    gameState.lastInputTime = scene.game.loop.time;
+  },
+
+  // Coin slot, free play switch and idle tracking are live on every screen of the cabinet
+  bindCabinetControls(scene) {
+    InputSystem.attach(scene);
+
+    InputSystem.onAction(scene, 'coin', () => this.insertCoin(scene));
+    InputSystem.onAction(scene, 'mute', () => AudioSystem.toggleMute(scene));
+    InputSystem.onAction(scene, 'confirm', () => {
+      // Free play (or a credit left over) lets confirm skip the attract pages straight to the start prompt
+      if (gameState.attractActive && !gameState.titleActive && this.canStart()) {
+        this.stop(scene);
+        scene.scene.start('Title');
+      }
+    });
+    InputSystem.onAction(scene, 'freePlay', () => {
+      if (gameState.attractActive || gameState.titleActive) this.toggleFreePlay(scene);
+    });
+
+    // Any input resets the idle timer that brings attract mode back
+    InputSystem.onAction(scene, '*', () => this.resetIdle(scene));
+    scene.input.on('pointerdown', () => this.resetIdle(scene));
+  }
+};
+
+/**
+ * Game Logic System
+ * Handles core game mechanics and sequences
+ */
+const GameLogicSystem = {
+  runLoadingScreen(onComplete) {
+    const scene = this;
+    gameState.introElements = [];
+
+    function nextStage() {
+      // Clear previous stage elements with fade effect
+      gameState.introElements.forEach(element => {
+        if (element && element.destroy) {
+          // Add fade out animation before destroying
+          scene.tweens.add({
+            targets: element,
+            alpha: 0,
+            duration: 300,
+            ease: 'Power2',
+            onComplete: () => element.destroy()
+          });
+        }
+      });
+      gameState.introElements = [];
+
+      // After loading, hand over to the game with a brief pause
+      scene.time.delayedCall(500, () => {
+        if (typeof onComplete === 'function') onComplete();
+      });
+    }
+
+    // Add dramatic transition sound before loading screen
+    AudioSystem.createBeep(300, 0.2, 'sawtooth', 0.3);
+    scene.time.delayedCall(150, () => AudioSystem.createBeep(450, 0.15, 'sawtooth', 0.25));
+    scene.time.delayedCall(350, () => AudioSystem.createBeep(600, 0.1, 'square', 0.2));
+
+    GameLogicSystem.createLoadingScreen.call(scene);
+
+    // Move to game after loading completes (extended time for enhanced sequence)
+    scene.time.delayedCall(3000, () => {
+      AudioSystem.createBeep(800, 0.1, 'square', 0.3);
+      scene.time.delayedCall(100, () => AudioSystem.createBeep(1000, 0.1, 'square', 0.3));
+      scene.time.delayedCall(200, () => AudioSystem.createBeep(1200, 0.2, 'sawtooth', 0.4));
+      nextStage();
+    });
+  },
+
+  createLoadingScreen() {
+    const scene = this;
+
+    // Main loading message with 80s style
+    const loadingText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 150, 'SYSTEM BOOTING UP', {
+      fontSize: '28px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    loadingText.setShadow(2, 2, '#000000', 4);
+    gameState.introElements.push(loadingText);
+
+    // Subtitle with dramatic reveal
+    const subtitleText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 190, 'PLEASE STAND BY', {
+      fontSize: '16px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5).setAlpha(0);
+    subtitleText.setShadow(1, 1, '#000000', 3);
+    gameState.introElements.push(subtitleText);
+
+    // Reveal subtitle with animation
+    scene.tweens.add({
+      targets: subtitleText,
+      alpha: { from: 0, to: 1 },
+      duration: 800,
+      ease: 'Power2',
+      delay: 300
+    });
+
+    // Status messages that change during loading
+    const statusMessages = [
+      'INITIALIZING AI SYSTEMS...',
+      'CALIBRATING NEURAL NETWORKS...',
+      'LOADING GRAPHIC ASSETS...',
+      'ESTABLISHING SECURE CONNECTION...',
+      'DEPLOYING DEFENSE PROTOCOLS...',
+      'SYSTEM READY FOR DEPLOYMENT'
+    ];
+
+    const statusText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 230, '', {
+      fontSize: '14px',
+      fill: '#ffffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    statusText.setShadow(1, 1, '#000000', 2);
+    gameState.introElements.push(statusText);
+
+    // Enhanced progress bar with 80s styling
+    const progressBg = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2, 280, 500, 40, 0x000000).setOrigin(0.5);
+    progressBg.setStrokeStyle(2, 0x00ffff);
+    const progressBar = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2 - 250, 280, 0, 36, 0x0080ff).setOrigin(0, 0.5);
+    gameState.introElements.push(progressBg, progressBar);
+
+    // Secondary progress bar for more 80s feel
+    const progressBar2 = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2 - 250, 280, 0, 32, 0x00ffff).setOrigin(0, 0.5).setAlpha(0.7);
+    gameState.introElements.push(progressBar2);
+
+    // Animated loading bars with different speeds
+    scene.tweens.add({
+      targets: progressBar,
+      width: 496,
+      duration: 2200,
+      ease: 'Power2'
+    });
+
+    scene.tweens.add({
+      targets: progressBar2,
+      width: 496,
+      duration: 1800,
+      ease: 'Power1',
+      delay: 200
+    });
+
+    // 80s-style percentage counter
+    const percentText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 320, '0%', {
+      fontSize: '20px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    percentText.setShadow(1, 1, '#000000', 3);
+    gameState.introElements.push(percentText);
+
+    // Update percentage with progress (synchronized with progress bar)
+    let currentPercent = 0;
+    const percentInterval = scene.time.addEvent({
+      delay: 22, // 2200ms total / 100 steps = 22ms per step
+      repeat: 100,
+      callback: () => {
+        currentPercent++;
+        percentText.setText(currentPercent + '%');
+        // Flicker effect for extra 80s feel
+        if (Math.random() > 0.9) {
+          percentText.setFill('#ff0000');
+          setTimeout(() => percentText.setFill('#ffff00'), 50);
+        }
+      }
+    });
+
+    // Enhanced loading sequence with multiple phases
+    let messageIndex = 0;
+    let dotCount = 0;
+
+    const loadingInterval = scene.time.addEvent({
+      delay: 400,
+      repeat: 15,
+      callback: () => {
+        // Update main loading text with animation
+        dotCount = (dotCount + 1) % 4;
+        loadingText.setText('SYSTEM BOOTING UP' + '.'.repeat(dotCount));
+
+        // Color cycle the main text
+        const colors = ['#00ffff', '#0080ff', '#0000ff', '#8000ff', '#ff00ff', '#ff0080', '#ff0000', '#ff8000', '#ffff00', '#80ff00', '#00ff00', '#00ff80'];
+        loadingText.setFill(colors[Math.floor(Date.now() / 200) % colors.length]);
+
+        // Play retro sound effects
+        AudioSystem.createBeep(200 + Math.random() * 200, 0.03, 'square', 0.1);
+
+        // Update status messages every few cycles
+        if (messageIndex < statusMessages.length && loadingInterval.repeatCount % 3 === 0) {
+          statusText.setText(statusMessages[messageIndex]);
+          messageIndex++;
 
           // Special sound for status change
           AudioSystem.createBeep(600, 0.08, 'sawtooth', 0.15);
@@ -688,602 +3059,2110 @@ const GameLogicSystem = {
       }
     });
 
-    // Add some 80s-style "data stream" effects
-    for (let i = 0; i < 8; i++) {
-      const dataLine = scene.add.text(
-        GAME_CONSTANTS.WIDTH / 2 + (Math.random() - 0.5) * 400,
-        350 + i * 15,
-        '01010101 01110010 01100101 01100001 01100100 01111001 00100001'.substring(0, Math.floor(Math.random() * 50) + 10),
-        {
-          fontSize: '10px',
-          fill: '#00ff00',
-          fontFamily: 'Press Start 2P'
-        }
-      ).setOrigin(0.5).setAlpha(0.6);
-      gameState.introElements.push(dataLine);
+    // Add some 80s-style "data stream" effects
+    for (let i = 0; i < 8; i++) {
+      const dataLine = scene.add.text(
+        GAME_CONSTANTS.WIDTH / 2 + (Math.random() - 0.5) * 400,
+        350 + i * 15,
+        '01010101 01110010 01100101 01100001 01100100 01111001 00100001'.substring(0, Math.floor(Math.random() * 50) + 10),
+        {
+          fontSize: '10px',
+          fill: '#00ff00',
+          fontFamily: 'Press Start 2P'
+        }
+      ).setOrigin(0.5).setAlpha(0.6);
+      gameState.introElements.push(dataLine);
+
+      // Animate data lines
+      scene.tweens.add({
+        targets: dataLine,
+        alpha: { from: 0.3, to: 0.8 },
+        duration: 1000 + Math.random() * 1000,
+        repeat: -1,
+        yoyo: true,
+        delay: Math.random() * 2000
+      });
+    }
+
+    // Final dramatic sequence
+    scene.time.delayedCall(2200, () => {
+      loadingInterval.destroy();
+      percentInterval.destroy();
+
+      // Ensure percentage shows 100%
+      percentText.setText('100%');
+      percentText.setFill('#00ff00'); // Green for completion
+
+      // Final system ready message
+      statusText.setText('SYSTEM READY - ENGAGE!');
+
+      // Dramatic sound sequence
+      const finalSounds = [800, 1000, 1200, 1500];
+      finalSounds.forEach((freq, index) => {
+        setTimeout(() => {
+          AudioSystem.createBeep(freq, 0.15, 'sawtooth', 0.3);
+        }, index * 150);
+      });
+
+        // Flash effect for final reveal
+      scene.tweens.add({
+        targets: [loadingText, statusText, percentText],
+        alpha: { from: 1, to: 0.3 },
+        duration: 100,
+        repeat: 3,
+        yoyo: true
+      });
+    });
+  },
+
+  showTitleScreen() {
+    const scene = this;
+
+    // Attract mode redraws the title page every cycle, so drop the previous one first
+    GameLogicSystem.clearTitleScreen.call(scene);
+    const elements = gameState.titleElements;
+    gameState.titleActive = true;
+
+    // Title screen
+    const titleText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 80, 'RETRO ARCADE ADVENTURE', {
+      fontSize: '64px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    elements.push(titleText);
+
+    // AI warning message with 80s styling
+    const aiWarningText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 220, 'AI AGENTS BREAK LOOSE', {
+      fontSize: '24px',
+      fill: '#ff4444',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    aiWarningText.setShadow(2, 2, '#000000', 4);
+    elements.push(aiWarningText);
+
+    // Subtitle with dramatic effect
+    const aiSubtitleText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 260, 'GET ALL GPUS BEFORE ITS TOO LATE', {
+      fontSize: '16px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5).setAlpha(0);
+    aiSubtitleText.setShadow(1, 1, '#000000', 2);
+    elements.push(aiSubtitleText);
+
+    // Animate subtitle reveal
+    scene.tweens.add({
+      targets: aiSubtitleText,
+      alpha: { from: 0, to: 1 },
+      duration: 1200,
+      ease: 'Power2',
+      delay: 800
+    });
+
+    // Add some warning beeps for the AI message
+    scene.time.delayedCall(400, () => AudioSystem.createBeep(400, 0.15, 'sawtooth', 0.3));
+    scene.time.delayedCall(600, () => AudioSystem.createBeep(350, 0.2, 'sawtooth', 0.25));
+    scene.time.delayedCall(900, () => AudioSystem.createBeep(300, 0.25, 'sawtooth', 0.4));
+
+    // Ranked high score table between the subtitle and the start prompt
+    let scoreTable = HighScoreSystem.createScoreTable(scene, GAME_CONSTANTS.WIDTH / 2, 292);
+    elements.push(...scoreTable);
+
+    // Start button (moved down to accommodate new text)
+    const startButton = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 450, 'PRESS START', {
+      fontSize: '18px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    startButton.setInteractive();
+    elements.push(startButton);
+
+    // Add blinking effect to start button
+    scene.tweens.add({
+      targets: startButton,
+      alpha: { from: 1, to: 0.3 },
+      duration: 800,
+      repeat: -1,
+      yoyo: true
+    });
+
+    // Difficulty preset, picked with left/right - the table above follows it
+    const difficultyText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 476, '', {
+      fontSize: '12px',
+      fill: '#ff00ff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    elements.push(difficultyText);
+    const showDifficulty = () => difficultyText.setText(`< ${DifficultySystem.getLabel(gameState.difficulty)} >`);
+    showDifficulty();
+
+    const changeDifficulty = (step) => {
+      AttractSystem.changeDifficulty(step);
+      AudioSystem.createBeep(660, 0.05, 'square', 0.2);
+      scoreTable.forEach(element => {
+        elements.splice(elements.indexOf(element), 1);
+        element.destroy();
+      });
+      scoreTable = HighScoreSystem.createScoreTable(scene, GAME_CONSTANTS.WIDTH / 2, 292);
+      elements.push(...scoreTable);
+      showDifficulty();
+    };
+
+    // Add instruction text for the confirm key (moved down with start button)
+    const spaceInstruction = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 500, `OR PRESS ${InputSystem.describe('confirm')}`, {
+      fontSize: '12px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    elements.push(spaceInstruction);
+
+    const optionsInstruction = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 530,
+      `${InputSystem.describe('options')}: OPTIONS  ${InputSystem.describe('editor')}: LEVEL EDITOR`, {
+        fontSize: '10px',
+        fill: '#888888',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+    elements.push(optionsInstruction);
+
+    AttractSystem.showCreditText(scene);
+
+    // Function to handle start game
+    const startGame = () => {
+      // No credit, no game - unless the cabinet is set to free play
+      if (!AttractSystem.consumeCredit(scene)) {
+        AttractSystem.flashInsertCoin(scene);
+        return;
+      }
+
+      console.log('👆 AUDIO: First user interaction detected - unlocking audio');
+
+      // Only start once - confirm is reused by the initials entry and restart prompts
+      GameLogicSystem.clearTitleScreen.call(scene);
+
+      // Unlock audio context on first interaction
+      AudioSystem.unlock();
+
+      // Leave attract mode (demo sprites, page timers) before the game takes over
+      AttractSystem.stop(scene);
+
+      // Start loading screen directly (skip company logo)
+      console.log('Starting loading screen...');
+      scene.scene.start('Loading');
+    };
+
+    startButton.on('pointerdown', startGame);
+
+    // Confirm (SPACE or the A button by default) works like clicking the start button
+    InputSystem.onAction(scene, 'confirm', startGame);
+    gameState.titleStartHandler = startGame;
+
+    gameState.titleDifficultyHandlers = { left: () => changeDifficulty(-1), right: () => changeDifficulty(1) };
+    Object.keys(gameState.titleDifficultyHandlers)
+      .forEach(action => InputSystem.onAction(scene, action, gameState.titleDifficultyHandlers[action]));
+  },
+
+  clearTitleScreen() {
+    const scene = this;
+
+    if (gameState.titleStartHandler) {
+      InputSystem.offAction(scene, 'confirm', gameState.titleStartHandler);
+      gameState.titleStartHandler = null;
+    }
+    if (gameState.titleDifficultyHandlers) {
+      Object.keys(gameState.titleDifficultyHandlers)
+        .forEach(action => InputSystem.offAction(scene, action, gameState.titleDifficultyHandlers[action]));
+      gameState.titleDifficultyHandlers = null;
+    }
+
+    gameState.titleElements.forEach(element => {
+      if (element && element.destroy) element.destroy();
+    });
+    gameState.titleElements = [];
+    gameState.titleActive = false;
+  },
+
+  startActualGame() {
+    console.log('Intro complete, starting game...');
+
+    // Crossfade into the round's music; attract-mode replays keep the title music playing under them
+    if (!gameState.replay || !gameState.replay.attract) MusicSystem.playForRound(gameState.sim.round);
+
+    // Play final start sound
+    AudioSystem.playStartSound();
+
+    // Mark intro as complete
+    gameState.introComplete = true;
+  },
+
+  // Every gameState field a run can change, with the value a fresh run starts from.
+  // Session fields (audio, credits, free play, attract mode) are deliberately left out.
+  createRunState() {
+    return {
+      sim: null,
+      powerUpText: null,
+      objectiveText: null,
+      scoreText: null,
+      healthText: null,
+      livesText: null,
+      roundText: null,
+      bossBar: null,
+      abilityMeters: null,
+      introComplete: false,
+      paused: false,
+      playtest: false,
+      // The custom levels the run was started with; null for the built-in set
+      levels: null,
+      seed: null,
+      recording: null,
+      replay: null
+    };
+  },
+
+  resetRunState() {
+    // Abandon any initials entry still on screen
+    HighScoreSystem.closeInitialsEntry();
+    Object.assign(gameState, GameLogicSystem.createRunState());
+  },
+
+  // Resets the run and starts a fresh GameCore state, drawn by the Game scene
+  // levels: the rounds to play in order (defaults to the built-in set); rounds past the end are random
+  // seed: replays pass the seed they were recorded with, and the difficulty (defaults to the one picked on the title screen)
+  resetGame(levels, seed, playtest, difficulty) {
+    const scene = this;
+    console.log('=== RESETTING GAME ===');
+    GameLogicSystem.resetRunState();
+    gameState.seed = RandomSystem.startRun(seed || gameState.seedParam);
+    gameState.playtest = Boolean(playtest);
+    gameState.levels = levels || null;
+    gameState.sim = GameCore.newRun({ levels: levels, playtest: playtest, difficulty: difficulty || gameState.difficulty });
+
+    // Sprites follow the simulation; the HUD sits on top
+    scene.view = RenderSystem.createView(scene);
+    GameFactory.createHUDText(scene);
+    RenderSystem.draw(scene.view, gameState.sim);
+  },
+
+  // Sounds, effects and scene changes for what happened in the simulation since the last frame
+  handleEvents() {
+    const scene = this;
+    GameCore.takeEvents(gameState.sim).forEach(event => {
+      switch (event.type) {
+        case 'collect':
+          AudioSystem.playCollectSound();
+          ArcadeEffectsSystem.playPreset(scene, 'collect', event.x, event.y);
+          GameFactory.createScorePopup(scene, event.x, event.y, event.combo > 1 ? `+${event.base} x${event.combo}` : `+${event.points}`);
+          break;
+        case 'extraLife':
+          AudioSystem.playExtraLifeSound();
+          GameFactory.createScorePopup(scene, gameState.sim.player.x, gameState.sim.player.y - 24, 'EXTRA LIFE', '#00ff00');
+          break;
+        case 'roundClear':
+          GameLogicSystem.showRoundTally.call(scene, event);
+          break;
+        case 'powerUp':
+          AudioSystem.playPowerUpSound(GAME_CONSTANTS.POWER_UPS[event.powerUp].pitch);
+          ArcadeEffectsSystem.playPreset(scene, 'powerUp', event.x, event.y);
+          break;
+        case 'powerUpEnd':
+          AudioSystem.playPowerUpEndSound();
+          break;
+        case 'damage':
+          AudioSystem.playDamageSound();
+          ArcadeEffectsSystem.playPreset(scene, 'damage', event.x, event.y);
+          if (gameState.sim.invulnerable) GameLogicSystem.startInvulnerability.call(scene);
+          break;
+        case 'lifeLost':
+          // The last life's effects are the game over ones
+          if (event.lives > 0) {
+            AudioSystem.playLifeLostSound();
+            ArcadeEffectsSystem.playPreset(scene, 'lifeLost', event.x, event.y);
+          }
+          break;
+        case 'respawn':
+          ArcadeEffectsSystem.playPreset(scene, 'respawn', event.x, event.y);
+          GameLogicSystem.startInvulnerability.call(scene);
+          break;
+        case 'newRound':
+          GameLogicSystem.clearRoundTally.call(scene);
+          AudioSystem.playNewRoundSound();
+          if (!gameState.replay || !gameState.replay.attract) MusicSystem.playForRound(event.round);
+          ArcadeEffectsSystem.playPreset(scene, 'newRound');
+          break;
+        case 'bossStart':
+          AudioSystem.playBossSting();
+          ArcadeEffectsSystem.playPreset(scene, 'bossStart');
+          GameFactory.createScorePopup(scene, GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2, `WARNING: ${event.name}`, '#ff0000');
+          break;
+        case 'bossAttack':
+          AudioSystem.playBossAttackSound(event.attack);
+          break;
+        case 'bossHit':
+          AudioSystem.playBossHitSound();
+          ArcadeEffectsSystem.playPreset(scene, 'bossHit', event.x, event.y);
+          GameFactory.createScorePopup(scene, event.x, event.y - 16, `-${event.damage}`, '#ff00ff');
+          if (gameState.sim.invulnerable) GameLogicSystem.startInvulnerability.call(scene);
+          break;
+        case 'bossPhase':
+          ArcadeEffectsSystem.playPreset(scene, 'bossPhase', event.x, event.y);
+          GameFactory.createScorePopup(scene, event.x, event.y + 48, `PHASE ${event.phase}`, '#ff0000');
+          break;
+        case 'bossDefeated':
+          GameLogicSystem.playBossVictory.call(scene, event);
+          break;
+        case 'dash':
+          AudioSystem.playDashSound();
+          break;
+        case 'afterimage':
+          RenderSystem.addAfterimage(scene.view, event.x, event.y);
+          break;
+        case 'empReady':
+          AudioSystem.playEmpReadySound();
+          GameFactory.createScorePopup(scene, gameState.sim.player.x, gameState.sim.player.y - 24, 'EMP READY', '#66ffff');
+          break;
+        case 'emp':
+          GameLogicSystem.playEmp.call(scene, event);
+          break;
+        case 'levelClear':
+          GameLogicSystem.endPlaytest.call(scene, 'LEVEL CLEAR');
+          break;
+        case 'gameOver':
+          GameLogicSystem.triggerGameOver.call(scene, event);
+          break;
+      }
+    });
+  },
+
+  // The pulse as a ring growing out to its radius
+  playEmp(event) {
+    const scene = this;
+    AudioSystem.playEmpSound();
+    ArcadeEffectsSystem.playPreset(scene, 'emp', event.x, event.y);
+
+    const ring = scene.add.circle(event.x, event.y, event.radius).setDepth(GAME_CONSTANTS.EFFECT_DEPTH);
+    ring.setStrokeStyle(3, GAME_CONSTANTS.ABILITIES.emp.tint).setScale(0.1);
+    scene.tweens.add({
+      targets: ring,
+      scale: 1,
+      alpha: 0,
+      duration: 350,
+      ease: 'Cubic.easeOut',
+      onComplete: () => ring.destroy()
+    });
+    if (event.stunned > 0) GameFactory.createScorePopup(scene, event.x, event.y - 24, `STUNNED ${event.stunned}`, '#66ffff');
+  },
+
+  // The boss goes down in a chain of explosions around where it stood, then its bonus
+  playBossVictory(event) {
+    const scene = this;
+    AudioSystem.playBossVictorySound();
+    ArcadeEffectsSystem.playPreset(scene, 'bossDefeated', event.x, event.y);
+    [[-30, -20], [28, 10], [-12, 24], [20, -26]].forEach((offset, index) => {
+      scene.time.delayedCall(150 + index * 150, () => {
+        ArcadeEffectsSystem.playPreset(scene, 'bossExplosion', event.x + offset[0], event.y + offset[1]);
+      });
+    });
+    GameFactory.createScorePopup(scene, event.x, event.y, `+${event.bonus} ${GAME_CONSTANTS.BOSS.name} DOWN`, '#00ff00');
+  },
+
+  // The round-clear bonuses over the frozen field, a line at a time; cleared when the next round starts
+  showRoundTally(tally) {
+    const scene = this;
+    GameLogicSystem.clearRoundTally.call(scene);
+
+    const depth = GAME_CONSTANTS.EFFECT_DEPTH + 2;
+    const backdrop = scene.add.rectangle(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2, 480, 260, 0x000000, 0.8).setDepth(depth);
+    backdrop.setStrokeStyle(2, 0x00ffff);
+    scene.tallyElements = [backdrop];
+
+    const lines = [
+      { text: `ROUND ${tally.round} CLEAR`, color: '#00ffff', size: '20px' },
+      { text: `TIME BONUS      ${tally.time}`, color: '#ffffff' },
+      { text: `NO DAMAGE BONUS ${tally.noDamage}`, color: tally.noDamage > 0 ? '#ffffff' : '#666666' },
+      { text: `HEALTH BONUS    ${tally.health}`, color: '#ffffff' },
+      { text: `TOTAL           ${tally.total}`, color: '#ffff00' }
+    ];
+    lines.forEach((line, index) => {
+      const text = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 200 + index * 48, line.text, {
+        fontSize: line.size || '14px',
+        fill: line.color,
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5).setDepth(depth).setVisible(false);
+      scene.tallyElements.push(text);
+
+      scene.time.delayedCall(index * 400, () => {
+        if (!text.active) return;
+        text.setVisible(true);
+        AudioSystem.createBeep(500 + index * 120, 0.08, 'square', 0.15);
+      });
+    });
+  },
+
+  clearRoundTally() {
+    (this.tallyElements || []).forEach(element => element.destroy());
+    this.tallyElements = [];
+  },
+
+  // The simulation's invulnerability window, shown by a blinking player sprite
+  startInvulnerability() {
+    const scene = this;
+    const player = scene.view.player;
+    const blinks = Math.max(1, Math.floor(gameState.sim.invulnerableTime / (GAME_CONSTANTS.INVULNERABILITY_BLINK_INTERVAL * 2)));
+
+    // A respawn right after the fatal hit restarts the blinking with the longer window
+    scene.tweens.killTweensOf(player);
+    player.setAlpha(1);
+    scene.tweens.add({
+      targets: player,
+      alpha: { from: 1, to: 0.2 },
+      duration: GAME_CONSTANTS.INVULNERABILITY_BLINK_INTERVAL,
+      ease: 'Stepped',
+      repeat: blinks - 1,
+      yoyo: true,
+      onComplete: () => player.setAlpha(1)
+    });
+  },
+
+  triggerGameOver(event) {
+    const scene = this;
+
+    // Game over - hide the field and hand the result to the GameOver scene
+    ArcadeEffectsSystem.playPreset(scene, 'gameOver', event.x, event.y);
+    RenderSystem.hide(scene.view);
+
+    // Play game over sound over the music fading out
+    AudioSystem.playGameOverSound();
+    if (!gameState.replay || !gameState.replay.attract) MusicSystem.stop();
+
+    if (gameState.playtest) {
+      GameLogicSystem.endPlaytest.call(scene, 'PLAYER DOWN');
+      return;
+    }
+    // Replays continue wherever the recorded run did
+    if (gameState.replay) {
+      if (ReplaySystem.takeContinue()) {
+        scene.time.delayedCall(GAME_CONSTANTS.GAME_OVER_DELAY, () => GameLogicSystem.continueRun.call(scene));
+      } else {
+        ReplaySystem.endPlayback(scene);
+      }
+      return;
+    }
+
+    if (AttractSystem.canStart()) {
+      GameLogicSystem.offerContinue.call(scene);
+    } else {
+      scene.time.delayedCall(GAME_CONSTANTS.GAME_OVER_DELAY, () => GameLogicSystem.finishRun.call(scene));
+    }
+  },
+
+  finishRun() {
+    const scene = this;
+    const sim = gameState.sim;
+    const result = { score: sim.score, round: sim.round, seed: gameState.seed, replay: ReplaySystem.finishRecording() };
+    scene.scene.start('GameOver', result);
+  },
+
+  // "CONTINUE? 9..8..7" - a credit keeps the run going on the same round, with the score back to zero
+  offerContinue() {
+    const scene = this;
+    const centerX = GAME_CONSTANTS.WIDTH / 2;
+    const centerY = GAME_CONSTANTS.HEIGHT / 2;
+    let secondsLeft = GAME_CONSTANTS.CONTINUE_SECONDS;
+
+    const elements = [
+      scene.add.text(centerX, centerY - 60, 'CONTINUE?', {
+        fontSize: '32px',
+        fill: '#ffff00',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5).setShadow(2, 2, '#000000', 4),
+      scene.add.text(centerX, centerY + 10, String(secondsLeft), {
+        fontSize: '48px',
+        fill: '#ff00ff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5).setShadow(2, 2, '#000000', 4),
+      scene.add.text(centerX, centerY + 70, `PRESS ${InputSystem.describe('confirm')} - SCORE RESETS`, {
+        fontSize: '12px',
+        fill: '#00ffff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5)
+    ];
+    const countText = elements[1];
+    let timer = null;
+    let closed = false;
+
+    const close = () => {
+      closed = true;
+      InputSystem.offAction(scene, 'confirm', accept);
+      InputSystem.offAction(scene, 'back', decline);
+      timer.remove();
+      elements.forEach(element => element.destroy());
+    };
+    const accept = () => {
+      // Free play may have been switched off or the credits spent since the offer
+      if (!AttractSystem.consumeCredit(scene)) {
+        AttractSystem.flashInsertCoin(scene);
+        return;
+      }
+      close();
+      GameLogicSystem.continueRun.call(scene);
+    };
+    const decline = () => {
+      close();
+      GameLogicSystem.finishRun.call(scene);
+    };
+
+    timer = scene.time.addEvent({
+      delay: 1000,
+      repeat: GAME_CONSTANTS.CONTINUE_SECONDS - 1,
+      callback: () => {
+        secondsLeft--;
+        countText.setText(String(secondsLeft));
+        AudioSystem.createBeep(secondsLeft > 0 ? 440 : 220, 0.1, 'square', 0.2);
+        if (secondsLeft <= 0) decline();
+      }
+    });
+
+    // Armed after a moment, so the button held through the last hit does not take the offer by accident
+    scene.time.delayedCall(500, () => {
+      if (closed) return;
+      InputSystem.onAction(scene, 'confirm', accept);
+      InputSystem.onAction(scene, 'back', decline);
+    });
+  },
+
+  continueRun() {
+    const scene = this;
+    GameCore.continueRun(gameState.sim);
+    ReplaySystem.recordContinue();
+    scene.confirmLatched = true;
+    RenderSystem.show(scene.view);
+
+    // The respawn event brings the blinking on the next frame; the round music comes back now
+    if (!gameState.replay || !gameState.replay.attract) MusicSystem.playForRound(gameState.sim.round);
+  },
+
+  // Play-tests started from the editor end back in the editor, with the outcome shown for a moment first
+  endPlaytest(outcome) {
+    const scene = this;
+
+    scene.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2, outcome, {
+      fontSize: '32px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5).setShadow(2, 2, '#000000', 4);
+
+    scene.time.delayedCall(GAME_CONSTANTS.GAME_OVER_DELAY, () => GameLogicSystem.returnToEditor.call(scene));
+  },
+
+  // Freezes the Game scene (simulation, tweens, timers) and the audio clock under the pause menu
+  pauseGame() {
+    const scene = this;
+    if (!gameState.sim || gameState.sim.gameOver || gameState.paused) return;
+
+    console.log('=== GAME PAUSED ===');
+    gameState.paused = true;
+    AudioSystem.suspend();
+    scene.scene.pause();
+    scene.scene.launch('Pause');
+  },
+
+  // Called from the Pause scene
+  resumeGame() {
+    console.log('=== GAME RESUMED ===');
+    gameState.paused = false;
+    AudioSystem.resume();
+
+    // The controls may have been rebound from the pause menu
+    const game = this.scene.get('Game');
+    InputSystem.refreshKeys(game);
+    game.confirmLatched = true;
+    this.scene.resume('Game');
+    this.scene.stop();
+  },
+
+  // Restart: a fresh run in a freshly started Game scene, without reloading the page
+  // A run started from the editor restarts on the same levels
+  restartGame() {
+    console.log('=== RESTARTING GAME ===');
+    const levels = gameState.levels;
+    GameLogicSystem.resetRunState();
+    this.scene.start('Game', { levels: levels });
+  },
+
+  // Sends whichever scene is running back to the title; the Title scene picks attract mode or the start prompt
+  returnToStartScreen() {
+    console.log('=== RETURNING TO START SCREEN ===');
+
+    // Drop the run (and the Game scene's sprites with it)
+    GameLogicSystem.resetRunState();
+
+    this.scene.start('Title');
+  },
+
+  returnToEditor() {
+    console.log('=== RETURNING TO EDITOR ===');
+    GameLogicSystem.resetRunState();
+    MusicSystem.play('title');
+    this.scene.start('Editor');
+  }
+};
+
+/**
+ * Scenes
+ * Each screen of the cabinet runs in its own Phaser scene. Session data (credits, audio)
+ * lives in gameState; the result of a run is handed to the next scene through scene.start().
+ */
+class BootScene extends Phaser.Scene {
+  constructor() {
+    super('Boot');
+  }
+
+  preload() {
+    // Load sprites
+    this.load.svg('player', 'assets/player.svg');
+    EnemySystem.getSpriteKeys().forEach(key => this.load.svg(key, `assets/${key}.svg`));
+    this.load.svg('collectible', 'assets/collectible.svg');
+    this.load.svg('boss', 'assets/boss.svg');
+
+    // Load logo for intro
+    this.load.svg('logo', 'assets/logo.svg');
+  }
+
+  create() {
+    console.log('=== BOOT COMPLETE ===');
+    gameState.freePlay = AttractSystem.loadFreePlay();
+    gameState.difficulty = AttractSystem.loadDifficulty();
+    Object.assign(gameState, AudioSystem.loadSettings());
+    gameState.seedParam = RandomSystem.loadSeedParam(window.location.search);
+
+    // ?sfx opens the sound lab instead of the cabinet
+    if (new URLSearchParams(window.location.search).has('sfx')) {
+      this.scene.start('SoundLab');
+      return;
+    }
+    this.scene.start('Logo');
+  }
+}
+
+class LogoScene extends Phaser.Scene {
+  constructor() {
+    super('Logo');
+  }
+
+  create() {
+    AttractSystem.bindCabinetControls(this);
+    gameState.introElements = [];
+
+    const toTitle = () => this.scene.start('Title');
+    IntroSystem.createCompanyLogo(this, toTitle);
+
+    // Let impatient players skip the logo
+    InputSystem.onceAction(this, 'confirm', toTitle);
+  }
+}
+
+class TitleScene extends Phaser.Scene {
+  constructor() {
+    super('Title');
+  }
+
+  init(data) {
+    this.resumeAttract = Boolean(data && data.attract);
+  }
+
+  create() {
+    AttractSystem.bindCabinetControls(this);
+    AttractSystem.resetIdle(this);
+    this.events.once('shutdown', () => AttractSystem.clearPage(this));
+    MusicSystem.play('title');
+
+    InputSystem.onAction(this, 'options', () => {
+      AttractSystem.stop(this);
+      GameLogicSystem.clearTitleScreen.call(this);
+      this.scene.start('Options');
+    });
+
+    InputSystem.onAction(this, 'editor', () => {
+      AttractSystem.stop(this);
+      GameLogicSystem.clearTitleScreen.call(this);
+      this.scene.start('Editor');
+    });
+
+    if (this.resumeAttract && gameState.attractActive) {
+      AttractSystem.nextPage(this);
+    } else if (AttractSystem.canStart()) {
+      GameLogicSystem.showTitleScreen.call(this);
+    } else {
+      AttractSystem.start(this);
+    }
+  }
+
+  update(time, delta) {
+    // Attract mode only runs its demo until a coin drops
+    if (gameState.attractActive) {
+      AttractSystem.updateDemo(this, delta);
+      return;
+    }
+    AttractSystem.checkIdle(this);
+  }
+}
+
+class LoadingScene extends Phaser.Scene {
+  constructor() {
+    super('Loading');
+  }
+
+  create() {
+    AttractSystem.bindCabinetControls(this);
+    GameLogicSystem.runLoadingScreen.call(this, () => this.scene.start('Game'));
+  }
+}
+
+class GameScene extends Phaser.Scene {
+  constructor() {
+    super('Game');
+  }
+
+  init(data) {
+    // Rounds to play, already loaded with LevelSystem.load(); the built-in set when none are given
+    this.levels = data && Array.isArray(data.levels) ? data.levels : null;
+    // Play-tests come from the editor and go back to it
+    this.playtest = Boolean(data && data.playtest);
+    // Replays re-simulate a recorded run, from the high score table or as a page of attract mode
+    this.replay = data && data.replay ? data.replay : null;
+    this.attract = Boolean(data && data.attract);
+  }
+
+  create() {
+    const scene = this;
+    AttractSystem.bindCabinetControls(scene);
+
+    // Fresh run
+    const replay = this.replay;
+    GameLogicSystem.resetGame.call(scene, replay ? replay.levels : this.levels, replay ? replay.seed : null, this.playtest,
+      replay ? replay.difficulty : null);
+    this.stepTime = 0;
+    this.timestep = this.replay ? this.replay.timestep : GAME_CONSTANTS.FIXED_TIMESTEP;
+    this.confirmLatched = true;
+
+    // A replay has its own controls (speed, pause, step) instead of the pause menu
+    if (this.replay) {
+      ReplaySystem.startPlayback(scene, this.replay, this.attract);
+      GameLogicSystem.startActualGame.call(scene);
+      return;
+    }
+    if (!this.playtest) ReplaySystem.startRecording();
+
+    // Pause (P / Start) or back (ESC) opens the pause menu; quitting the run is done from there
+    const pause = () => GameLogicSystem.pauseGame.call(scene);
+    InputSystem.onAction(scene, 'pause', pause);
+    InputSystem.onAction(scene, 'back', pause);
+
+    // Leaving the tab or window pauses too, so nobody comes back to a lost run
+    scene.game.events.on(Phaser.Core.Events.HIDDEN, pause);
+    scene.game.events.on(Phaser.Core.Events.BLUR, pause);
+    scene.events.once('shutdown', () => {
+      scene.game.events.off(Phaser.Core.Events.HIDDEN, pause);
+      scene.game.events.off(Phaser.Core.Events.BLUR, pause);
+    });
+
+    GameLogicSystem.startActualGame.call(scene);
+  }
+
+  update(time, delta) {
+    // Fixed-step simulation: with the same seed and inputs a run plays out the same at any frame rate.
+    // Replays can run faster, or not at all while paused.
+    this.stepTime += Math.min(delta || 0, GAME_CONSTANTS.MAX_FRAME_DELTA) * ReplaySystem.getSpeed();
+    while (this.stepTime >= this.timestep) {
+      this.stepTime -= this.timestep;
+      this.step(this.timestep);
+    }
+
+    // Then show what happened: sounds, effects and scene changes, and the sprites where the simulation left them
+    if (!gameState.sim) return;
+    GameLogicSystem.handleEvents.call(this);
+    RenderSystem.draw(this.view, gameState.sim);
+  }
+
+  step(delta) {
+    // Stop game if game over, or once the run has been left for another scene
+    if (!gameState.sim || gameState.sim.gameOver) {
+      return;
+    }
+
+    // Live input is recorded each step; a replay feeds the recorded input back instead
+    let input;
+    if (gameState.replay) {
+      input = ReplaySystem.nextInput();
+      if (!input) {
+        ReplaySystem.endPlayback(this);
+        return;
+      }
+    } else {
+      input = ReplaySystem.sampleInput(this);
+      ReplaySystem.record(input);
+    }
+
+    GameCore.step(gameState.sim, input, delta);
+  }
+}
+
+class GameOverScene extends Phaser.Scene {
+  constructor() {
+    super('GameOver');
+  }
+
+  init(data) {
+    this.result = Object.assign({ score: 0, round: 1 }, data);
+  }
+
+  create() {
+    AttractSystem.bindCabinetControls(this);
+    AttractSystem.resetIdle(this);
+    this.events.once('shutdown', () => HighScoreSystem.closeInitialsEntry());
+
+    const { score, round, seed, replay } = this.result;
+    MusicSystem.play('gameOver');
+
+    this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2,
+      'Game Over', {
+        fontSize: '32px',
+        fill: '#fff'
+      }).setOrigin(0.5);
+
+    // Add the AI GPU message with 80s retro styling
+    const aiGPUTitle = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 50,
+      'AI GOT ALL GPUS', {
+        fontSize: '28px',
+        fill: '#00ffff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+    aiGPUTitle.setShadow(2, 2, '#000000', 4);
+
+    // Add subtitle with dramatic reveal effect
+    const aiSubtitle = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 80,
+      'SYSTEM COMPROMISED', {
+        fontSize: '16px',
+        fill: '#ff0000',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5).setAlpha(0);
+    aiSubtitle.setShadow(1, 1, '#000000', 2);
+
+    if (gameState.levels) {
+      this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 - 50, 'CUSTOM LEVEL - NOT RANKED', {
+        fontSize: '10px',
+        fill: '#888888',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+    }
+
+    // The seed replays this run with ?seed=, and the recording can be saved for a bug report or to share
+    if (seed) {
+      this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT - 20, replay ? `SEED ${seed}  ${InputSystem.describe('export')}: SAVE REPLAY` : `SEED ${seed}`, {
+        fontSize: '10px',
+        fill: '#888888',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+    }
+    if (replay) {
+      InputSystem.onAction(this, 'export', () => ReplaySystem.exportFile(replay));
+    }
+
+    // Animate the subtitle reveal
+    this.tweens.add({
+      targets: aiSubtitle,
+      alpha: { from: 0, to: 1 },
+      duration: 1000,
+      ease: 'Power2',
+      delay: 500
+    });
+
+    // Add some dramatic sound effects
+    AudioSystem.createBeep(300, 0.2, 'sawtooth', 0.4);
+    this.time.delayedCall(300, () => AudioSystem.createBeep(200, 0.3, 'sawtooth', 0.3));
+    this.time.delayedCall(600, () => AudioSystem.createBeep(150, 0.4, 'sawtooth', 0.5));
 
-      // Animate data lines
-      scene.tweens.add({
-        targets: dataLine,
-        alpha: { from: 0.3, to: 0.8 },
-        duration: 1000 + Math.random() * 1000,
-        repeat: -1,
-        yoyo: true,
-        delay: Math.random() * 2000
+    InputSystem.onceAction(this, 'back', () => GameLogicSystem.returnToStartScreen.call(this));
+
+    // Qualifying scores enter their initials and see their place in the table
+    if (HighScoreSystem.qualifies(score)) {
+      HighScoreSystem.showInitialsEntry(this, score, round, (rank) => {
+        if (rank >= 0) ReplaySystem.saveForScore(rank, replay);
+        this.scene.start('HighScore', { highlightRank: rank });
       });
+    } else {
+      this.showRestartPrompt();
     }
+  }
 
-    // Final dramatic sequence
-    scene.time.delayedCall(2200, () => {
-      loadingInterval.destroy();
-      percentInterval.destroy();
+  showRestartPrompt() {
+    const restartButton = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 140,
+      'Restart', {
+        fontSize: '24px',
+        fill: '#fff'
+      }).setOrigin(0.5);
+    restartButton.setInteractive();
+
+    // Add instruction text for the confirm key on restart (moved lower)
+    this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 180,
+      `OR PRESS ${InputSystem.describe('confirm')}`, {
+        fontSize: '12px',
+        fill: '#ffff00',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+
+    AttractSystem.showCreditText(this);
+
+    // Another go costs another credit, same as from the title screen
+    const restartGame = () => {
+      if (!AttractSystem.consumeCredit(this)) {
+        AttractSystem.flashInsertCoin(this);
+        return;
+      }
 
-      // Ensure percentage shows 100%
-      percentText.setText('100%');
-      percentText.setFill('#00ff00'); // Green for completion
+      GameLogicSystem.restartGame.call(this);
+    };
 
-      // Final system ready message
-      statusText.setText('SYSTEM READY - ENGAGE!');
+    restartButton.on('pointerdown', restartGame);
 
-      // Dramatic sound sequence
-      const finalSounds = [800, 1000, 1200, 1500];
-      finalSounds.forEach((freq, index) => {
-        setTimeout(() => {
-          AudioSystem.createBeep(freq, 0.15, 'sawtooth', 0.3);
-        }, index * 150);
+    // Confirm works like clicking the restart button
+    InputSystem.onAction(this, 'confirm', restartGame);
+  }
+
+  update() {
+    if (!gameState.initialsEntry && AttractSystem.isIdle(this)) {
+      console.log('📺 ATTRACT: No input for a while - returning to title');
+      GameLogicSystem.returnToStartScreen.call(this);
+    }
+  }
+}
+
+class HighScoreScene extends Phaser.Scene {
+  constructor() {
+    super('HighScore');
+  }
+
+  init(data) {
+    this.attract = Boolean(data && data.attract);
+    this.highlightRank = data && Number.isInteger(data.highlightRank) ? data.highlightRank : -1;
+    // The table of the difficulty being played, unless left/right has flipped to another
+    this.difficulty = DifficultySystem.resolve(data && data.difficulty ? data.difficulty : gameState.difficulty);
+  }
+
+  create() {
+    AttractSystem.bindCabinetControls(this);
+    AttractSystem.resetIdle(this);
+
+    const heading = this.add.text(GAME_CONSTANTS.WIDTH / 2, 100, 'TODAYS TOP AGENTS', {
+      fontSize: '24px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    heading.setShadow(2, 2, '#000000', 4);
+
+    // Blow the title screen table up to fill the page
+    const table = HighScoreSystem.createScoreTable(this, GAME_CONSTANTS.WIDTH / 2, 180, this.highlightRank, this.difficulty);
+    table.forEach((row, index) => row.setScale(1.5).setY(180 + index * 24));
+
+    // Scores with a recorded run can be watched again
+    this.replays = HighScoreSystem.load(this.difficulty)
+      .map((entry, index) => ({ y: 180 + (index + 1) * 24, replay: ReplaySystem.getForEntry(entry) }))
+      .filter(row => row.replay);
+
+    AttractSystem.showCreditText(this);
+
+    // In attract mode the table is just one page of the loop
+    if (this.attract) {
+      this.time.delayedCall(GAME_CONSTANTS.ATTRACT_PAGE_DURATIONS.highScores, () => {
+        this.scene.start('Title', { attract: true });
       });
+      return;
+    }
 
-      // Flash effect for final reveal
-      scene.tweens.add({
-        targets: [loadingText, statusText, percentText],
-        alpha: { from: 1, to: 0.3 },
-        duration: 100,
-        repeat: 3,
-        yoyo: true,
-        onComplete: () => {
-          // Call next stage if available
-          if (this.nextStage) this.nextStage();
+    const continueText = this.add.text(GAME_CONSTANTS.WIDTH / 2, 500, `PRESS ${InputSystem.describe('confirm')}`, {
+      fontSize: '14px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+
+    this.messageText = this.add.text(GAME_CONSTANTS.WIDTH / 2, 530,
+      `${this.replays.length > 0 ? 'UP/DOWN: PICK A REPLAY  ' : ''}LEFT/RIGHT: DIFFICULTY  ${InputSystem.describe('import')}: IMPORT`, {
+        fontSize: '10px',
+        fill: '#888888',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+
+    this.tweens.add({
+      targets: continueText,
+      alpha: { from: 1, to: 0.3 },
+      duration: 800,
+      repeat: -1,
+      yoyo: true
+    });
+
+    const toTitle = () => {
+      InputSystem.offAction(this, 'confirm', confirm);
+      InputSystem.offAction(this, 'back', toTitle);
+      GameLogicSystem.returnToStartScreen.call(this);
+    };
+    // Confirm carries on to the title unless a replay has been picked with up/down
+    const confirm = () => {
+      if (this.selected >= 0) {
+        this.watch(this.replays[this.selected].replay);
+      } else {
+        toTitle();
+      }
+    };
+    InputSystem.onAction(this, 'confirm', confirm);
+    InputSystem.onAction(this, 'back', toTitle);
+
+    this.selected = -1;
+    this.continueText = continueText;
+    this.cursor = this.add.text(GAME_CONSTANTS.WIDTH / 2 - 250, 0, '>', {
+      fontSize: '15px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5).setVisible(false);
+    InputSystem.onAction(this, 'up', () => this.moveSelection(-1));
+    InputSystem.onAction(this, 'down', () => this.moveSelection(1));
+    InputSystem.onAction(this, 'left', () => this.scene.restart({ difficulty: DifficultySystem.cycle(this.difficulty, -1) }));
+    InputSystem.onAction(this, 'right', () => this.scene.restart({ difficulty: DifficultySystem.cycle(this.difficulty, 1) }));
+
+    // Replays shared as files, or attached to a bug report
+    InputSystem.onAction(this, 'import', () => {
+      JsonFileSystem.open(text => {
+        const replay = ReplaySystem.load(text);
+        if (replay) {
+          this.watch(replay);
+        } else {
+          this.messageText.setText('NOT A REPLAY FILE').setColor('#ff4444');
+        }
+      }, () => this.messageText.setText('COULD NOT READ FILE').setColor('#ff4444'));
+    });
+  }
+
+  moveSelection(step) {
+    if (this.replays.length === 0) return;
+
+    // The first press picks the top (or bottom) replay
+    this.selected = this.selected < 0
+      ? (step > 0 ? 0 : this.replays.length - 1)
+      : Phaser.Math.Wrap(this.selected + step, 0, this.replays.length);
+    this.cursor.setY(this.replays[this.selected].y).setVisible(true);
+    this.continueText.setText(`${InputSystem.describe('confirm')}: WATCH  ${InputSystem.describe('back')}: TITLE`);
+  }
+
+  watch(replay) {
+    AudioSystem.unlock();
+    this.scene.start('Game', { replay: replay });
+  }
+
+  update() {
+    if (!this.attract && AttractSystem.isIdle(this)) {
+      GameLogicSystem.returnToStartScreen.call(this);
+    }
+  }
+}
+
+class PauseScene extends Phaser.Scene {
+  constructor() {
+    super('Pause');
+  }
+
+  create() {
+    // Launched over the paused Game scene, which keeps its state until resume or quit
+    InputSystem.attach(this);
+    InputSystem.onAction(this, 'mute', () => AudioSystem.toggleMute(this));
+    this.confirmingQuit = false;
+    this.selected = 0;
+
+    this.add.rectangle(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2, GAME_CONSTANTS.WIDTH, GAME_CONSTANTS.HEIGHT, 0x000000, 0.75);
+
+    const heading = this.add.text(GAME_CONSTANTS.WIDTH / 2, 180, 'PAUSED', {
+      fontSize: '32px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    heading.setShadow(2, 2, '#000000', 4);
+
+    this.tweens.add({
+      targets: heading,
+      alpha: { from: 1, to: 0.3 },
+      duration: 800,
+      repeat: -1,
+      yoyo: true
+    });
+
+    this.promptText = this.add.text(GAME_CONSTANTS.WIDTH / 2, 240, '', {
+      fontSize: '12px',
+      fill: '#ff4444',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+
+    this.itemTexts = [0, 1, 2].map(index => {
+      const text = this.add.text(GAME_CONSTANTS.WIDTH / 2, 290 + index * 40, '', {
+        fontSize: '18px',
+        fill: '#ffffff',
+        fontFamily: 'Press Start 2P'
+      }).setOrigin(0.5);
+      text.setInteractive();
+      text.on('pointerdown', () => {
+        this.selected = index;
+        this.activate();
+      });
+      return text;
+    });
+
+    InputSystem.onAction(this, 'up', () => this.moveSelection(-1));
+    InputSystem.onAction(this, 'down', () => this.moveSelection(1));
+    InputSystem.onAction(this, 'confirm', () => this.activate());
+    InputSystem.onAction(this, 'pause', () => GameLogicSystem.resumeGame.call(this));
+    InputSystem.onAction(this, 'back', () => {
+      if (this.confirmingQuit) {
+        this.showMenu(false);
+      } else {
+        GameLogicSystem.resumeGame.call(this);
+      }
+    });
+
+    // Coming back from Options - the bindings may have changed
+    this.events.on('wake', () => {
+      InputSystem.refreshKeys(this);
+      this.refresh();
+    });
+
+    this.refresh();
+  }
+
+  getItems() {
+    return this.confirmingQuit ? ['NO', 'YES'] : ['RESUME', 'OPTIONS', gameState.playtest ? 'QUIT TO EDITOR' : 'QUIT TO TITLE'];
+  }
+
+  showMenu(confirmingQuit) {
+    this.confirmingQuit = confirmingQuit;
+    this.selected = 0;
+    this.refresh();
+  }
+
+  moveSelection(step) {
+    this.selected = Phaser.Math.Wrap(this.selected + step, 0, this.getItems().length);
+    this.refresh();
+  }
+
+  activate() {
+    const item = this.getItems()[this.selected];
+
+    switch (item) {
+      case 'RESUME':
+        GameLogicSystem.resumeGame.call(this);
+        break;
+      case 'OPTIONS':
+        this.scene.launch('Options', { returnTo: 'Pause' });
+        this.scene.sleep();
+        break;
+      case 'QUIT TO TITLE':
+      case 'QUIT TO EDITOR':
+        // Defaults to NO so a double press cannot throw the run away
+        this.showMenu(true);
+        break;
+      case 'NO':
+        this.showMenu(false);
+        break;
+      case 'YES':
+        AudioSystem.resume();
+        this.scene.stop('Game');
+        if (gameState.playtest) {
+          GameLogicSystem.returnToEditor.call(this);
+        } else {
+          console.log('Quit confirmed - returning to start screen');
+          GameLogicSystem.returnToStartScreen.call(this);
         }
+        break;
+    }
+  }
+
+  refresh() {
+    const items = this.getItems();
+    let prompt = '';
+    if (this.confirmingQuit) {
+      prompt = gameState.playtest ? 'STOP THE PLAY-TEST?' : 'QUIT TO TITLE? THIS RUN WILL BE LOST';
+    }
+    this.promptText.setText(prompt);
+
+    this.itemTexts.forEach((text, index) => {
+      const item = items[index];
+      text.setVisible(Boolean(item));
+      if (!item) return;
+
+      const selected = index === this.selected;
+      text.setText(selected ? `> ${item} <` : item).setColor(selected ? '#00ffff' : '#ffffff');
+    });
+  }
+}
+
+class OptionsScene extends Phaser.Scene {
+  constructor() {
+    super('Options');
+  }
+
+  init(data) {
+    // Opened from the title screen, or over the pause menu
+    this.returnTo = data && data.returnTo === 'Pause' ? 'Pause' : 'Title';
+  }
+
+  create() {
+    // No cabinet controls here: the coin keys are fair game for rebinding
+    InputSystem.attach(this);
+    this.capturing = null;
+    this.selected = 0;
+
+    this.add.rectangle(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2, GAME_CONSTANTS.WIDTH, GAME_CONSTANTS.HEIGHT, 0x000000, 0.9);
+
+    const labels = {
+      up: 'MOVE UP',
+      down: 'MOVE DOWN',
+      left: 'MOVE LEFT',
+      right: 'MOVE RIGHT',
+      confirm: 'CONFIRM/ACTION',
+      back: 'BACK',
+      pause: 'PAUSE',
+      coin: 'INSERT COIN',
+      options: 'OPTIONS',
+      editor: 'LEVEL EDITOR',
+      mute: 'MUTE',
+      freePlay: 'FREE PLAY',
+      export: 'SAVE REPLAY',
+      import: 'LOAD REPLAY'
+    };
+
+    const heading = this.add.text(GAME_CONSTANTS.WIDTH / 2, 50, 'OPTIONS', {
+      fontSize: '24px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+    heading.setShadow(2, 2, '#000000', 4);
+
+    const addRow = (action, name, y, hasValue, bus) => {
+      this.rows.push({
+        action: action,
+        name: name,
+        bus: bus,
+        label: this.add.text(160, y, '', {
+          fontSize: '14px',
+          fill: '#ffffff',
+          fontFamily: 'Press Start 2P'
+        }),
+        value: hasValue ? this.add.text(420, y, '', {
+          fontSize: '14px',
+          fill: '#ffffff',
+          fontFamily: 'Press Start 2P'
+        }) : null
       });
+    };
+
+    this.rows = [];
+    addRow('volume', 'MASTER', 90, true, 'master');
+    addRow('volume', 'MUSIC', 114, true, 'music');
+    addRow('volume', 'SFX', 138, true, 'sfx');
+    addRow('sound', 'SOUND', 162, true);
+    InputSystem.actions.forEach((action, index) => {
+      addRow(action, labels[action] || action.toUpperCase(), 196 + index * 20, true);
+    });
+
+    const menuY = 196 + InputSystem.actions.length * 20 + 10;
+    addRow('reset', 'RESET CONTROLS', menuY, false);
+    addRow('done', 'DONE', menuY + 30, false);
+
+    this.hintText = this.add.text(GAME_CONSTANTS.WIDTH / 2, 560, '', {
+      fontSize: '10px',
+      fill: '#ffff00',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5);
+
+    InputSystem.onAction(this, 'up', () => this.moveSelection(-1));
+    InputSystem.onAction(this, 'down', () => this.moveSelection(1));
+    InputSystem.onAction(this, 'left', () => this.changeVolume(-1));
+    InputSystem.onAction(this, 'right', () => this.changeVolume(1));
+    InputSystem.onAction(this, 'confirm', () => this.activate());
+    InputSystem.onAction(this, 'back', () => {
+      if (!this.capturing) this.close();
+    });
+    InputSystem.onAction(this, 'mute', () => {
+      if (this.capturing) return;
+      AudioSystem.toggleMute();
+      this.refresh();
+    });
+
+    // Registered after attach() so the press that opens capture has already been dispatched
+    this.input.keyboard.on('keydown', (event) => this.captureKey(event));
+
+    this.refresh();
+  }
+
+  update() {
+    // Capture listens from the frame after it was opened
+    if (this.capturing) this.capturing.armed = true;
+  }
+
+  moveSelection(step) {
+    if (this.capturing) return;
+
+    this.selected = Phaser.Math.Wrap(this.selected + step, 0, this.rows.length);
+    AudioSystem.createBeep(500, 0.05, 'square', 0.15);
+    this.refresh();
+  }
+
+  changeVolume(step) {
+    if (this.capturing) return;
+
+    const row = this.rows[this.selected];
+    if (row.action === 'sound') {
+      AudioSystem.toggleMute();
+    } else if (row.action === 'volume') {
+      AudioSystem.setVolume(row.bus, gameState.volume[row.bus] + step / GAME_CONSTANTS.VOLUME_STEPS);
+      AudioSystem.createBeep(700, 0.08, 'square', 0.2);
+    } else {
+      return;
+    }
+    this.refresh();
+  }
+
+  activate() {
+    if (this.capturing) return;
+
+    const row = this.rows[this.selected];
+    if (row.action === 'volume') return;
+
+    if (row.action === 'sound') {
+      AudioSystem.toggleMute();
+      this.refresh();
+      return;
+    }
+
+    if (row.action === 'done') {
+      this.close();
+      return;
+    }
+
+    if (row.action === 'reset') {
+      InputSystem.resetBindings();
+      InputSystem.refreshKeys(this);
+      AudioSystem.playCoinSound();
+      this.refresh();
+      return;
+    }
+
+    this.capturing = { action: row.action, armed: false };
+    AudioSystem.createBeep(900, 0.08, 'square', 0.2);
+    this.refresh();
+  }
+
+  captureKey(event) {
+    if (!this.capturing || !this.capturing.armed) return;
+
+    const action = this.capturing.action;
+    this.capturing = null;
+
+    // ESC always cancels, so a bad binding can never lock anyone out of this screen
+    const keyName = InputSystem.getKeyName(event.keyCode);
+    if (event.keyCode === Phaser.Input.Keyboard.KeyCodes.ESC || !keyName) {
+      AudioSystem.createBeep(200, 0.1, 'square', 0.2);
+    } else {
+      InputSystem.rebind(action, keyName);
+      InputSystem.refreshKeys(this);
+      AudioSystem.playStartSound();
+    }
+
+    this.refresh();
+  }
+
+  refresh() {
+    this.rows.forEach((row, index) => {
+      const selected = index === this.selected;
+      const color = selected ? '#ffff00' : '#ffffff';
+      row.label.setText(`${selected ? '>' : ' '} ${row.name}`).setColor(color);
+
+      if (row.action === 'volume') {
+        const steps = GAME_CONSTANTS.VOLUME_STEPS;
+        const volume = gameState.volume[row.bus];
+        const level = Math.round(volume * steps);
+        row.value.setText(`${'#'.repeat(level)}${'-'.repeat(steps - level)} ${Math.round(volume * 100)}%`).setColor(color);
+      } else if (row.action === 'sound') {
+        row.value.setText(gameState.muted ? 'OFF' : 'ON').setColor(gameState.muted ? '#ff4444' : color);
+      } else if (row.value) {
+        const waiting = this.capturing && this.capturing.action === row.action;
+        row.value.setText(waiting ? 'PRESS A KEY' : InputSystem.describe(row.action, true)).setColor(waiting ? '#ff00ff' : color);
+      }
     });
-  },
 
-  showTitleScreen() {
-    const scene = this;
+    const selectedAction = this.rows[this.selected].action;
+    let hint = `UP/DOWN: SELECT  ${InputSystem.describe('confirm')}: CHANGE  ${InputSystem.describe('back')}: DONE`;
+    if (this.capturing) {
+      hint = 'PRESS THE NEW KEY  ESC: CANCEL';
+    } else if (selectedAction === 'volume') {
+      hint = `LEFT/RIGHT: VOLUME  ${InputSystem.describe('mute')}: MUTE  ${InputSystem.describe('back')}: DONE`;
+    } else if (selectedAction === 'sound') {
+      hint = `${InputSystem.describe('confirm')}: SOUND ON/OFF  ${InputSystem.describe('back')}: DONE`;
+    }
+    this.hintText.setText(hint);
+  }
 
-    // Title screen
-    const titleText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 80, 'RETRO ARCADE ADVENTURE', {
-      fontSize: '64px',
-      fill: '#ffff00',
-      fontFamily: 'Press Start 2P'
-    }).setOrigin(0.5);
+  close() {
+    AudioSystem.createBeep(400, 0.1, 'square', 0.3);
 
-    // AI warning message with 80s styling
-    const aiWarningText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 220, 'AI AGENTS BREAK LOOSE', {
+    if (this.returnTo === 'Pause') {
+      this.scene.wake('Pause');
+      this.scene.stop();
+      return;
+    }
+    this.scene.start('Title');
+  }
+}
+
+/**
+ * Sound Lab
+ * Debug screen for auditioning and tweaking the SfxSystem presets, opened with ?sfx in the URL.
+ * Changes apply to the running game until reload; X downloads the tweaked preset as JSON to paste back
+ * into GAME_CONSTANTS.SOUND_PRESETS.
+ */
+class SoundLabScene extends Phaser.Scene {
+  constructor() {
+    super('SoundLab');
+    // Taken before anything is tweaked, so R always goes back to the shipped preset
+    this.originals = JSON.parse(JSON.stringify(GAME_CONSTANTS.SOUND_PRESETS));
+  }
+
+  create() {
+    InputSystem.attach(this);
+    this.names = Object.keys(GAME_CONSTANTS.SOUND_PRESETS);
+    this.presetIndex = 0;
+    this.selected = 0;
+
+    const heading = this.add.text(GAME_CONSTANTS.WIDTH / 2, 50, 'SOUND LAB', {
       fontSize: '24px',
-      fill: '#ff4444',
+      fill: '#00ffff',
       fontFamily: 'Press Start 2P'
     }).setOrigin(0.5);
-    aiWarningText.setShadow(2, 2, '#000000', 4);
-
-    // Subtitle with dramatic effect
-    const aiSubtitleText = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 260, 'GET ALL GPUS BEFORE ITS TOO LATE', {
-      fontSize: '16px',
-      fill: '#00ffff',
+    heading.setShadow(2, 2, '#000000', 4);
+
+    const rowStyle = { fontSize: '14px', fill: '#ffffff', fontFamily: 'Press Start 2P' };
+    this.rows = [{ key: 'preset', label: 'PRESET' }].concat(SfxSystem.labParams).map((param, index) => ({
+      param: param,
+      label: this.add.text(120, 100 + index * 24, '', rowStyle),
+      value: this.add.text(480, 100 + index * 24, '', rowStyle)
+    }));
+
+    this.notesText = this.add.text(GAME_CONSTANTS.WIDTH / 2, 100 + this.rows.length * 24 + 20, '', {
+      fontSize: '10px',
+      fill: '#888888',
+      fontFamily: 'Press Start 2P',
+      align: 'center',
+      wordWrap: { width: GAME_CONSTANTS.WIDTH - 80 }
+    }).setOrigin(0.5, 0);
+
+    this.add.text(GAME_CONSTANTS.WIDTH / 2, 560, `LEFT/RIGHT: CHANGE  ${InputSystem.describe('confirm')}: PLAY  R: RESET  X: EXPORT`, {
+      fontSize: '10px',
+      fill: '#ffff00',
       fontFamily: 'Press Start 2P'
-    }).setOrigin(0.5).setAlpha(0);
-    aiSubtitleText.setShadow(1, 1, '#000000', 2);
+    }).setOrigin(0.5);
 
-    // Animate subtitle reveal
-    scene.tweens.add({
-      targets: aiSubtitleText,
-      alpha: { from: 0, to: 1 },
-      duration: 1200,
-      ease: 'Power2',
-      delay: 800
+    InputSystem.onAction(this, 'up', () => this.moveSelection(-1));
+    InputSystem.onAction(this, 'down', () => this.moveSelection(1));
+    InputSystem.onAction(this, 'left', () => this.change(-1));
+    InputSystem.onAction(this, 'right', () => this.change(1));
+    InputSystem.onAction(this, 'confirm', () => this.audition());
+    InputSystem.onAction(this, 'back', () => this.scene.start('Title'));
+    InputSystem.onAction(this, 'mute', () => AudioSystem.toggleMute(this));
+    this.input.keyboard.on('keydown-R', () => this.reset());
+    this.input.keyboard.on('keydown-X', () => this.exportPreset());
+
+    // Opened straight from the URL, so the first key press is what unlocks audio
+    this.input.keyboard.on('keydown', () => {
+      if (!gameState.isAudioUnlocked) AudioSystem.unlock();
     });
 
-    // Add some warning beeps for the AI message
-    scene.time.delayedCall(400, () => AudioSystem.createBeep(400, 0.15, 'sawtooth', 0.3));
-    scene.time.delayedCall(600, () => AudioSystem.createBeep(350, 0.2, 'sawtooth', 0.25));
-    scene.time.delayedCall(900, () => AudioSystem.createBeep(300, 0.25, 'sawtooth', 0.4));
+    console.log('🧪 SFX: Sound lab opened');
+    this.refresh();
+  }
 
-    // Start button (moved down to accommodate new text)
-    const startButton = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 450, 'PRESS START', {
-      fontSize: '18px',
-      fill: '#00ffff',
-      fontFamily: 'Press Start 2P'
-    }).setOrigin(0.5);
-    startButton.setInteractive();
+  getName() {
+    return this.names[this.presetIndex];
+  }
 
-    // Add blinking effect to start button
-    scene.tweens.add({
-      targets: startButton,
-      alpha: { from: 1, to: 0.3 },
-      duration: 800,
-      repeat: -1,
-      yoyo: true
+  getPreset() {
+    return GAME_CONSTANTS.SOUND_PRESETS[this.getName()];
+  }
+
+  moveSelection(step) {
+    this.selected = Phaser.Math.Wrap(this.selected + step, 0, this.rows.length);
+    this.refresh();
+  }
+
+  // The voice as it plays, defaults filled in: 'envelope.decay' -> 0.04
+  getValue(key) {
+    const voice = SfxSystem.getVoice(this.getPreset(), {});
+    const [field, part] = key.split('.');
+    if (!part) return voice[field];
+    return voice[field] ? voice[field][part] || 0 : 0;
+  }
+
+  change(step) {
+    const param = this.rows[this.selected].param;
+
+    if (param.key === 'preset') {
+      this.presetIndex = Phaser.Math.Wrap(this.presetIndex + step, 0, this.names.length);
+      this.refresh();
+      this.audition();
+      return;
+    }
+
+    let value;
+    if (param.options) {
+      value = param.options[Phaser.Math.Wrap(param.options.indexOf(this.getValue(param.key)) + step, 0, param.options.length)];
+    } else {
+      // Rounded to the step so repeated presses never drift
+      value = Phaser.Math.Clamp(Math.round((this.getValue(param.key) + step * param.step) / param.step) * param.step, param.min, param.max);
+      value = Number(value.toFixed(3));
+    }
+
+    const preset = this.getPreset();
+    preset.voice = preset.voice || {};
+    const [field, part] = param.key.split('.');
+    if (part) {
+      preset.voice[field] = Object.assign({}, field === 'vibrato' ? { depth: 0, rate: 0 } : {}, preset.voice[field], { [part]: value });
+    } else {
+      preset.voice[field] = value;
+    }
+
+    this.refresh();
+    this.audition();
+  }
+
+  audition() {
+    SfxSystem.play(this.getPreset());
+  }
+
+  reset() {
+    GAME_CONSTANTS.SOUND_PRESETS[this.getName()] = JSON.parse(JSON.stringify(this.originals[this.getName()]));
+    console.log(`🧪 SFX: Reset "${this.getName()}"`);
+    this.refresh();
+    this.audition();
+  }
+
+  exportPreset() {
+    const preset = this.getPreset();
+    console.log(`🧪 SFX: "${this.getName()}" preset:`, JSON.stringify(preset));
+    JsonFileSystem.save(JsonFileSystem.toFileName(`sfx-${this.getName()}`, 'sfx'), preset);
+  }
+
+  refresh() {
+    this.rows.forEach((row, index) => {
+      const selected = index === this.selected;
+      const color = selected ? '#ffff00' : '#ffffff';
+      const key = row.param.key;
+      row.label.setText(`${selected ? '>' : ' '} ${row.param.label}`).setColor(color);
+
+      let value = key === 'preset' ? this.getName() : this.getValue(key);
+      if (typeof value === 'number') value = Number(value.toFixed(3));
+      // Duty only shapes pulse waves
+      const unused = key === 'duty' && this.getValue('wave') !== 'pulse';
+      row.value.setText(String(value)).setColor(unused ? '#666666' : color);
     });
 
-    // Add instruction text for spacebar (moved down with start button)
-    const spaceInstruction = scene.add.text(GAME_CONSTANTS.WIDTH / 2, 500, 'OR PRESS SPACEBAR', {
-      fontSize: '12px',
+    // Notes replace voice fields (a wave, a frequency) only for themselves, so list what each one changes
+    const notes = (this.getPreset().notes || [{}]).map(note => {
+      const fields = Object.keys(note).map(field => `${field} ${typeof note[field] === 'object' ? JSON.stringify(note[field]) : note[field]}`);
+      return fields.length > 0 ? fields.join(', ') : 'voice';
+    });
+    this.notesText.setText(`NOTES: ${notes.join(' | ')}`);
+  }
+}
+
+/**
+ * Level Editor
+ * Lays out a round on a snapped grid in LevelSystem's JSON format (see the Levels section of the README).
+ * Mouse places and erases; number keys pick the tool. The level and its undo history live on the scene,
+ * so they survive a play-test and a trip back to the title for the rest of the session.
+ */
+class EditorScene extends Phaser.Scene {
+  constructor() {
+    super('Editor');
+    this.level = null;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  create() {
+    // No cabinet controls here: the editor has keys of its own
+    InputSystem.attach(this);
+    if (!this.level) this.level = this.createBlankLevel();
+    this.tool = 'wall';
+    this.enemyType = GAME_CONSTANTS.ENEMY_TYPES[0];
+    this.selectedEnemy = -1;
+    this.dragStart = null;
+    this.levelObjects = [];
+
+    this.drawGrid();
+    this.preview = this.add.rectangle(0, 0, 1, 1, 0xffff00, 0.2).setOrigin(0).setVisible(false);
+
+    const help = [
+      '1 WALL  2 GPU  3 ENEMY  4 PATH  5 START  6 ERASE  T TYPE  V WIN  -/+ GOAL',
+      'Z UNDO  Y REDO  N NEW  P TEST  R RUN  S SAVE  L LOAD  X EXPORT  I IMPORT  ESC EXIT'
+    ];
+    this.add.rectangle(0, 0, GAME_CONSTANTS.WIDTH, 34, 0x000000, 0.8).setOrigin(0).setDepth(10);
+    this.add.text(GAME_CONSTANTS.WIDTH / 2, 4, help.join('\n'), {
+      fontSize: '8px',
+      fill: '#888888',
+      fontFamily: 'Press Start 2P',
+      align: 'center',
+      lineSpacing: 6
+    }).setOrigin(0.5, 0).setDepth(10);
+
+    this.add.rectangle(0, GAME_CONSTANTS.HEIGHT - 40, GAME_CONSTANTS.WIDTH, 40, 0x000000, 0.8).setOrigin(0).setDepth(10);
+    this.statusText = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT - 34, '', {
+      fontSize: '10px',
+      fill: '#00ffff',
+      fontFamily: 'Press Start 2P'
+    }).setOrigin(0.5, 0).setDepth(10);
+    this.messageText = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT - 16, '', {
+      fontSize: '10px',
       fill: '#ffff00',
       fontFamily: 'Press Start 2P'
-    }).setOrigin(0.5);
-
-    // Function to handle start game
-    const startGame = () => {
-      console.log('👆 AUDIO: First user interaction detected - unlocking audio');
+    }).setOrigin(0.5, 0).setDepth(10);
 
-      // Unlock audio context on first interaction
-      AudioSystem.unlock();
+    if (this.input.mouse) this.input.mouse.disableContextMenu();
+    this.input.on('pointerdown', (pointer) => this.onPointerDown(pointer));
+    this.input.on('pointermove', (pointer) => this.onPointerMove(pointer));
+    this.input.on('pointerup', (pointer) => this.onPointerUp(pointer));
 
-      // Hide title screen elements
-      scene.children.list.forEach(child => {
-        if (child !== gameState.player &&
-            !gameState.enemies.contains(child) &&
-            !gameState.collectibles.contains(child) &&
-            child !== gameState.scoreText &&
-            child !== gameState.healthText &&
-            child !== gameState.roundText) {
-          child.setVisible(false);
-        }
-      });
+    const tools = ['wall', 'gpu', 'enemy', 'path', 'start', 'erase'];
+    const digits = ['ONE', 'TWO', 'THREE', 'FOUR', 'FIVE', 'SIX'];
+    tools.forEach((tool, index) => {
+      this.input.keyboard.on(`keydown-${digits[index]}`, () => this.setTool(tool));
+    });
 
-      // Start loading screen directly (skip company logo)
-      console.log('Starting loading screen...');
-      GameLogicSystem.runLoadingScreen.call(scene);
+    const keys = {
+      T: () => this.cycleEnemyType(),
+      V: () => this.cycleWinCondition(),
+      MINUS: () => this.changeGoal(-1),
+      PLUS: () => this.changeGoal(1),
+      Z: () => this.undo(),
+      Y: () => this.redo(),
+      N: () => this.edit(() => { this.level = this.createBlankLevel(); }),
+      P: () => this.playtest(),
+      R: () => this.startRun(),
+      S: () => this.saveSlot(),
+      L: () => this.loadSlot(),
+      X: () => this.exportFile(),
+      I: () => this.importFile()
     };
+    Object.keys(keys).forEach(name => this.input.keyboard.on(`keydown-${name}`, keys[name]));
 
-    startButton.on('pointerdown', startGame);
+    InputSystem.onAction(this, 'back', () => this.scene.start('Title'));
+    InputSystem.onAction(this, 'mute', () => AudioSystem.toggleMute(this));
 
-    // Add spacebar support for start button
-    const spaceKey = scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
-    spaceKey.on('down', startGame);
-  },
+    console.log('🛠️ EDITOR: Opened');
+    this.redraw();
+  }
 
-  startActualGame() {
-    console.log('Intro complete, starting game...');
+  createBlankLevel() {
+    return {
+      version: GAME_CONSTANTS.LEVEL_VERSION,
+      name: 'CUSTOM LEVEL',
+      playerStart: { x: GAME_CONSTANTS.WIDTH / 2, y: GAME_CONSTANTS.HEIGHT / 2 },
+      walls: [],
+      collectibles: [],
+      enemies: [],
+      win: { type: 'collectAll' }
+    };
+  }
 
-    // Stop intro music
-    AudioSystem.stopIntroMusic();
+  drawGrid() {
+    const grid = GAME_CONSTANTS.EDITOR_GRID_SIZE;
+    const graphics = this.add.graphics();
+    graphics.lineStyle(1, 0x00ffff, 0.15);
+    for (let x = grid; x < GAME_CONSTANTS.WIDTH; x += grid) {
+      graphics.lineBetween(x, 0, x, GAME_CONSTANTS.HEIGHT);
+    }
+    for (let y = grid; y < GAME_CONSTANTS.HEIGHT; y += grid) {
+      graphics.lineBetween(0, y, GAME_CONSTANTS.WIDTH, y);
+    }
+  }
 
-    // Start the actual game
-    if (gameState.player) gameState.player.setVisible(true);
-    if (gameState.enemies) gameState.enemies.setVisible(true);
-    if (gameState.collectibles) gameState.collectibles.setVisible(true);
-    if (gameState.scoreText) gameState.scoreText.setVisible(true);
-    if (gameState.healthText) gameState.healthText.setVisible(true);
-    if (gameState.roundText) gameState.roundText.setVisible(true);
+  // Grid cell under a screen position; only whole cells are used, so a partial last row is left out
+  getCell(x, y) {
+    const grid = GAME_CONSTANTS.EDITOR_GRID_SIZE;
+    return {
+      col: Phaser.Math.Clamp(Math.floor(x / grid), 0, Math.floor(GAME_CONSTANTS.WIDTH / grid) - 1),
+      row: Phaser.Math.Clamp(Math.floor(y / grid), 0, Math.floor(GAME_CONSTANTS.HEIGHT / grid) - 1)
+    };
+  }
 
-    // Play final start sound
-    AudioSystem.playStartSound();
+  getCellCenter(cell) {
+    const grid = GAME_CONSTANTS.EDITOR_GRID_SIZE;
+    return { x: cell.col * grid + grid / 2, y: cell.row * grid + grid / 2 };
+  }
 
-    // Mark intro as complete
-    gameState.introComplete = true;
-  },
+  isInCell(point, cell) {
+    const other = this.getCell(point.x, point.y);
+    return other.col === cell.col && other.row === cell.row;
+  }
 
-  run80sIntroSequence() {
-    const scene = this;
-    let stage = 0;
-    gameState.introElements = [];
+  // Wall covering both corner cells and everything between them
+  getWallRect(from, to) {
+    const grid = GAME_CONSTANTS.EDITOR_GRID_SIZE;
+    return {
+      x: Math.min(from.col, to.col) * grid,
+      y: Math.min(from.row, to.row) * grid,
+      width: (Math.abs(from.col - to.col) + 1) * grid,
+      height: (Math.abs(from.row - to.row) + 1) * grid
+    };
+  }
 
-    function nextStage() {
-      // Clear previous stage elements
-      gameState.introElements.forEach(element => {
-        if (element && element.destroy) element.destroy();
-      });
-      gameState.introElements = [];
+  isInWall(point) {
+    return this.level.walls.some(wall =>
+      point.x > wall.x && point.x < wall.x + wall.width &&
+      point.y > wall.y && point.y < wall.y + wall.height);
+  }
 
-      stage++;
-      createStage(stage);
-    }
+  findEnemy(cell) {
+    return this.level.enemies.findIndex(enemy => this.isInCell(enemy, cell));
+  }
 
-    function createStage(stageNumber) {
-      switch(stageNumber) {
-        case 1: // Company Logo Reveal
-          IntroSystem.createCompanyLogo(scene);
-          break;
-        case 2: // Loading Screen
-          GameLogicSystem.createLoadingScreen.call(scene);
-          break;
-        case 3: // Start Game
-          GameLogicSystem.startActualGame.call(scene);
-          break;
-      }
+  onPointerDown(pointer) {
+    const cell = this.getCell(pointer.x, pointer.y);
+
+    // Right click erases whatever tool is picked
+    if (pointer.rightButtonDown()) {
+      this.erase(cell);
+      return;
     }
 
-    // Set up next stage function
-    GameLogicSystem.nextStage = nextStage;
+    if (this.tool === 'wall') {
+      this.dragStart = cell;
+      this.onPointerMove(pointer);
+      return;
+    }
 
-    // Start the intro sequence
-    createStage(1);
+    this.useTool(cell);
   }
-};
 
-// Legacy function wrappers for backward compatibility
-function run80sIntroSequence() {
-  GameLogicSystem.run80sIntroSequence.call(this);
-}
-
-function runCompanyLogoSequence() {
-  GameLogicSystem.runCompanyLogoSequence.call(this);
-}
+  onPointerMove(pointer) {
+    if (!this.dragStart) return;
 
-function preload() {
-  // Load sprites
-  this.load.svg('player', 'assets/player.svg');
-  this.load.svg('enemy-random', 'assets/enemy-random.svg');
-  this.load.svg('enemy-chaser', 'assets/enemy-chaser.svg');
-  this.load.svg('enemy-patrol', 'assets/enemy-patrol.svg');
-  this.load.svg('collectible', 'assets/collectible.svg');
+    const rect = this.getWallRect(this.dragStart, this.getCell(pointer.x, pointer.y));
+    this.preview.setPosition(rect.x, rect.y).setSize(rect.width, rect.height).setVisible(true);
+  }
 
-  // Load logo for intro
-  this.load.svg('logo', 'assets/logo.svg');
-}
+  onPointerUp(pointer) {
+    if (!this.dragStart) return;
 
-function create() {
-  const scene = this;
+    const rect = this.getWallRect(this.dragStart, this.getCell(pointer.x, pointer.y));
+    this.dragStart = null;
+    this.preview.setVisible(false);
+    this.edit(() => this.level.walls.push(rect));
+  }
 
-  // Create player sprite
-  gameState.player = scene.add.sprite(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2, 'player');
+  useTool(cell) {
+    const point = this.getCellCenter(cell);
+    const enemyIndex = this.findEnemy(cell);
 
-  // Keyboard controls
-  gameState.cursors = scene.input.keyboard.createCursorKeys();
+    if (this.tool === 'erase') {
+      this.erase(cell);
+      return;
+    }
 
-  // Add return to start screen function
-  scene.returnToStartScreen = function() {
-    console.log('=== RETURNING TO START SCREEN ===');
+    if (this.tool === 'path') {
+      this.addWaypoint(cell, point, enemyIndex);
+      return;
+    }
 
-    // Stop intro music if playing
-    AudioSystem.stopIntroMusic();
-
-    // Reset game state
-    gameState.score = 0;
-    gameState.health = GAME_CONSTANTS.MAX_HEALTH;
-    gameState.round = 1;
-    gameState.enemySpeed = GAME_CONSTANTS.ENEMY_SPEED;
-    gameState.introComplete = false;
-    gameState.gameOver = false;
-
-    // Hide all game elements
-    if (gameState.player) gameState.player.setVisible(false);
-    if (gameState.enemies) gameState.enemies.setVisible(false);
-    if (gameState.collectibles) gameState.collectibles.setVisible(false);
-    if (gameState.scoreText) gameState.scoreText.setVisible(false);
-    if (gameState.healthText) gameState.healthText.setVisible(false);
-    if (gameState.roundText) gameState.roundText.setVisible(false);
-
-    // Clear any game over elements
-    this.children.list.forEach(child => {
-      if (child.text && (child.text.includes('Game Over') || child.text.includes('AI GOT ALL GPUS') ||
-          child.text.includes('Restart') || child.text.includes('OR PRESS SPACEBAR'))) {
-        child.destroy();
-      }
-    });
+    if (this.isInWall(point)) {
+      this.showMessage('BLOCKED BY A WALL');
+      return;
+    }
 
-    // Reset enemy and collectible groups
-    if (gameState.enemies) {
-      gameState.enemies.clear(true, true);
-      // Recreate initial enemies
-      for (let i = 0; i < GAME_CONSTANTS.ENEMY_COUNT; i++) {
-        const x = Phaser.Math.Between(GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.PLAYER_SIZE);
-        const y = Phaser.Math.Between(GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.PLAYER_SIZE);
-        const enemy = GameFactory.createEnemy(this, x, y, 'random');
-        if (enemy) {
-          gameState.enemies.add(enemy);
-          enemy.setVisible(false);
-        }
-      }
+    switch (this.tool) {
+      case 'gpu':
+        if (this.level.collectibles.some(collectible => this.isInCell(collectible, cell))) return;
+        this.edit(() => this.level.collectibles.push(point));
+        break;
+      case 'enemy':
+        // Clicking an enemy already there swaps its type
+        this.edit(() => {
+          if (enemyIndex >= 0) {
+            this.level.enemies[enemyIndex].type = this.enemyType;
+            this.selectedEnemy = enemyIndex;
+          } else {
+            this.level.enemies.push({ type: this.enemyType, x: point.x, y: point.y, path: [] });
+            this.selectedEnemy = this.level.enemies.length - 1;
+          }
+        });
+        break;
+      case 'start':
+        this.edit(() => { this.level.playerStart = point; });
+        break;
     }
+  }
 
-    if (gameState.collectibles) {
-      gameState.collectibles.clear(true, true);
-      // Recreate initial collectibles
-      for (let i = 0; i < GAME_CONSTANTS.COLLECTIBLE_COUNT; i++) {
-        const x = Phaser.Math.Between(GAME_CONSTANTS.COLLECTIBLE_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.COLLECTIBLE_SIZE);
-        const y = Phaser.Math.Between(GAME_CONSTANTS.COLLECTIBLE_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.COLLECTIBLE_SIZE);
-        const collectible = GameFactory.createCollectible(this, x, y);
-        if (collectible) {
-          gameState.collectibles.add(collectible);
-          collectible.setVisible(false);
-        }
+  // Clicking a patrol picks it; clicking anywhere else adds a waypoint to the picked patrol's loop
+  addWaypoint(cell, point, enemyIndex) {
+    if (enemyIndex >= 0) {
+      if (this.level.enemies[enemyIndex].type !== 'patrol') {
+        this.showMessage('ONLY PATROLS FOLLOW PATHS');
+        return;
       }
+      this.selectedEnemy = enemyIndex;
+      this.redraw();
+      return;
     }
 
-    // Update HUD text
-    if (gameState.scoreText) gameState.scoreText.setText(`Score: ${gameState.score}`);
-    if (gameState.healthText) gameState.healthText.setText(`Health: ${gameState.health}`);
-    if (gameState.roundText) gameState.roundText.setText(`Round: ${gameState.round}`);
-
-    // Show title screen
-    GameLogicSystem.showTitleScreen.call(this);
-  };
-
-  // Create enemies group and populate
-  gameState.enemies = scene.add.group();
-  for (let i = 0; i < GAME_CONSTANTS.ENEMY_COUNT; i++) {
-    const x = Phaser.Math.Between(GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.PLAYER_SIZE);
-    const y = Phaser.Math.Between(GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.PLAYER_SIZE);
-    const enemy = GameFactory.createEnemy(scene, x, y, 'random');
-    if (enemy) {
-      gameState.enemies.add(enemy);
-      enemy.setVisible(false);
+    const enemy = this.level.enemies[this.selectedEnemy];
+    if (!enemy || enemy.type !== 'patrol') {
+      this.showMessage('CLICK A PATROL FIRST');
+      return;
     }
+
+    this.edit(() => {
+      // The loop starts from the spawn point
+      if (enemy.path.length === 0) enemy.path.push({ x: enemy.x, y: enemy.y });
+      enemy.path.push(point);
+    });
   }
 
-  // Create collectibles group and populate
-  gameState.collectibles = scene.add.group();
-  for (let i = 0; i < GAME_CONSTANTS.COLLECTIBLE_COUNT; i++) {
-    const x = Phaser.Math.Between(GAME_CONSTANTS.COLLECTIBLE_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.COLLECTIBLE_SIZE);
-    const y = Phaser.Math.Between(GAME_CONSTANTS.COLLECTIBLE_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.COLLECTIBLE_SIZE);
-    const collectible = GameFactory.createCollectible(scene, x, y);
-    if (collectible) {
-      gameState.collectibles.add(collectible);
-      collectible.setVisible(false);
+  // Removes the top-most thing in a cell: an enemy, then a waypoint, then a GPU, then a wall
+  erase(cell) {
+    const level = this.level;
+    const enemyIndex = this.findEnemy(cell);
+    if (enemyIndex >= 0) {
+      this.edit(() => {
+        level.enemies.splice(enemyIndex, 1);
+        this.selectedEnemy = -1;
+      });
+      return;
     }
-  }
 
-  // Create HUD elements
-  GameFactory.createHUDText(scene);
+    for (const enemy of level.enemies) {
+      const waypointIndex = enemy.path.findIndex(waypoint => this.isInCell(waypoint, cell));
+      if (waypointIndex >= 0) {
+        this.edit(() => enemy.path.splice(waypointIndex, 1));
+        return;
+      }
+    }
 
-  // Start with title screen (keeping start button and loading screen)
-  console.log('=== CREATE() FUNCTION CALLED ===');
-  console.log('Starting title screen...');
-  GameLogicSystem.showTitleScreen.call(scene);
+    const collectibleIndex = level.collectibles.findIndex(collectible => this.isInCell(collectible, cell));
+    if (collectibleIndex >= 0) {
+      this.edit(() => level.collectibles.splice(collectibleIndex, 1));
+      return;
+    }
 
-  // Initially hide all game elements
-  if (gameState.player) gameState.player.setVisible(false);
-  if (gameState.enemies) gameState.enemies.setVisible(false);
-  if (gameState.collectibles) gameState.collectibles.setVisible(false);
-}
+    const point = this.getCellCenter(cell);
+    const wallIndex = level.walls.findIndex(wall =>
+      point.x > wall.x && point.x < wall.x + wall.width &&
+      point.y > wall.y && point.y < wall.y + wall.height);
+    if (wallIndex >= 0) {
+      this.edit(() => level.walls.splice(wallIndex, 1));
+    }
+  }
 
-function update() {
-  // Handle escape key to return to start screen
-  const escapeKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.ESC);
-  if (escapeKey.isDown && !gameState.escapePressed) {
-    gameState.escapePressed = true;
-    console.log('ESC pressed - returning to start screen');
-    AudioSystem.createBeep(400, 0.1, 'square', 0.3);
-    this.time.delayedCall(100, () => this.returnToStartScreen());
-    return;
+  setTool(tool) {
+    this.tool = tool;
+    AudioSystem.createBeep(500, 0.05, 'square', 0.15);
+    this.redraw();
   }
-  if (!escapeKey.isDown) {
-    gameState.escapePressed = false;
+
+  cycleEnemyType() {
+    const types = GAME_CONSTANTS.ENEMY_TYPES;
+    this.enemyType = types[(types.indexOf(this.enemyType) + 1) % types.length];
+    this.setTool('enemy');
   }
 
-  // Stop game if game over
-  if (gameState.gameOver) {
-    return;
+  cycleWinCondition() {
+    const next = {
+      collectAll: { type: 'survive', seconds: 30 },
+      survive: { type: 'score', points: 100 },
+      score: { type: 'collectAll' }
+    };
+    this.edit(() => { this.level.win = next[this.level.win.type] || { type: 'collectAll' }; });
   }
 
-  // Player movement controls
-  if (gameState.cursors && gameState.cursors.left && gameState.cursors.left.isDown) {
-    if (gameState.player) gameState.player.x -= GAME_CONSTANTS.PLAYER_SPEED;
+  changeGoal(step) {
+    const win = this.level.win;
+    if (win.type === 'survive') {
+      this.edit(() => { win.seconds = Math.max(GAME_CONSTANTS.EDITOR_SURVIVE_STEP, win.seconds + step * GAME_CONSTANTS.EDITOR_SURVIVE_STEP); });
+    } else if (win.type === 'score') {
+      this.edit(() => { win.points = Math.max(GAME_CONSTANTS.SCORE_PER_COLLECTIBLE, win.points + step * GAME_CONSTANTS.SCORE_PER_COLLECTIBLE); });
+    }
   }
-  if (gameState.cursors && gameState.cursors.right && gameState.cursors.right.isDown) {
-    if (gameState.player) gameState.player.x += GAME_CONSTANTS.PLAYER_SPEED;
+
+  // Every change goes through here so it can be undone
+  edit(apply) {
+    this.undoStack.push(JSON.stringify(this.level));
+    if (this.undoStack.length > GAME_CONSTANTS.EDITOR_UNDO_LIMIT) this.undoStack.shift();
+    this.redoStack = [];
+    apply();
+    this.redraw();
   }
-  if (gameState.cursors && gameState.cursors.up && gameState.cursors.up.isDown) {
-    if (gameState.player) gameState.player.y -= GAME_CONSTANTS.PLAYER_SPEED;
+
+  undo() {
+    if (this.undoStack.length === 0) {
+      this.showMessage('NOTHING TO UNDO');
+      return;
+    }
+    this.redoStack.push(JSON.stringify(this.level));
+    this.level = JSON.parse(this.undoStack.pop());
+    this.selectedEnemy = -1;
+    this.redraw();
   }
-  if (gameState.cursors && gameState.cursors.down && gameState.cursors.down.isDown) {
-    if (gameState.player) gameState.player.y += GAME_CONSTANTS.PLAYER_SPEED;
+
+  redo() {
+    if (this.redoStack.length === 0) {
+      this.showMessage('NOTHING TO REDO');
+      return;
+    }
+    this.undoStack.push(JSON.stringify(this.level));
+    this.level = JSON.parse(this.redoStack.pop());
+    this.selectedEnemy = -1;
+    this.redraw();
   }
 
-  // Keep player within bounds
-  if (gameState.player) {
-    gameState.player.x = Phaser.Math.Clamp(gameState.player.x,
-      GAME_CONSTANTS.PLAYER_SIZE,
-      GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.PLAYER_SIZE);
-    gameState.player.y = Phaser.Math.Clamp(gameState.player.y,
-      GAME_CONSTANTS.PLAYER_SIZE,
-      GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.PLAYER_SIZE);
+  // Swaps in a level from a file or the storage slot, as one undoable step
+  replaceLevel(source, from) {
+    const level = LevelSystem.load(source, true);
+    if (!level) {
+      this.showMessage(`COULD NOT LOAD ${from}`);
+      return;
+    }
+    this.edit(() => {
+      this.level = level;
+      this.selectedEnemy = -1;
+    });
+    this.showMessage(`LOADED "${level.name}" FROM ${from}`);
   }
 
-  // Spacebar for action - only allow during specific game states
-  // Block spacebar during active gameplay when no button is showing
-  if (gameState.cursors && gameState.cursors.space && gameState.cursors.space.isDown) {
-    // Only allow spacebar action if:
-    // 1. Intro is not complete (during title screen)
-    // 2. Game is over (during game over screen)
-    // Block during active gameplay when no specific action is available
-    if (!gameState.introComplete || gameState.gameOver) {
-      console.log('Spacebar action allowed - not during active gameplay');
-      // Spacebar action would go here if implemented
-    } else {
-      console.log('Spacebar blocked - no button showing during active gameplay');
-      // Block the spacebar during active gameplay
+  playtest() {
+    const level = LevelSystem.load(this.level);
+    if (!level) {
+      this.showMessage('ADD GPUS TO COLLECT FIRST');
       return;
     }
+
+    console.log(`🛠️ EDITOR: Play-testing "${level.name}"`);
+    AudioSystem.unlock();
+    this.scene.start('Game', { levels: [level], playtest: true });
   }
 
-  // Enemy movement based on type
-  if (gameState.enemies) {
-    gameState.enemies.getChildren().forEach(enemy => {
-      const speed = enemy.type === 'chaser' ? gameState.enemySpeed * 0.3 : gameState.enemySpeed;
-
-      if (enemy.type === 'random') {
-        // Random movement
-        enemy.x += Phaser.Math.Between(-speed, speed);
-        enemy.y += Phaser.Math.Between(-speed, speed);
-      } else if (enemy.type === 'chaser' && gameState.player && gameState.player.visible) {
-        // Chase player
-        const angle = Phaser.Math.Angle.Between(enemy.x, enemy.y, gameState.player.x, gameState.player.y);
-        enemy.x += Math.cos(angle) * speed * 0.8;
-        enemy.y += Math.sin(angle) * speed * 0.8;
-      } else if (enemy.type === 'patrol') {
-        // Patrol movement (change direction every 60 frames)
-        enemy.moveCounter++;
-        if (enemy.moveCounter > 60) {
-          enemy.moveDirection = Phaser.Math.Between(0, 3);
-          enemy.moveCounter = 0;
-        }
+  // A real run for a credit, scored and recorded, with the level as its first round; the rounds after it are random
+  startRun() {
+    const level = LevelSystem.load(this.level);
+    if (!level) {
+      this.showMessage('ADD GPUS TO COLLECT FIRST');
+      return;
+    }
+    // The editor has no coin slot of its own
+    if (!AttractSystem.consumeCredit(this)) {
+      this.showMessage('NO CREDIT - INSERT COIN ON THE TITLE');
+      return;
+    }
 
-        // Move in current direction
-        switch (enemy.moveDirection) {
-          case 0: enemy.y -= speed * 0.7; break; // up
-          case 1: enemy.y += speed * 0.7; break; // down
-          case 2: enemy.x -= speed * 0.7; break; // left
-          case 3: enemy.x += speed * 0.7; break; // right
-        }
-      }
+    console.log(`🛠️ EDITOR: Starting a run on "${level.name}"`);
+    AudioSystem.unlock();
+    this.scene.start('Game', { levels: [level] });
+  }
 
-      // Keep within bounds
-      enemy.x = Phaser.Math.Clamp(enemy.x, GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.PLAYER_SIZE);
-      enemy.y = Phaser.Math.Clamp(enemy.y, GAME_CONSTANTS.PLAYER_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.PLAYER_SIZE);
-    });
+  saveSlot() {
+    try {
+      window.localStorage.setItem(GAME_CONSTANTS.LEVEL_STORAGE_KEY, JSON.stringify(this.level));
+      this.showMessage('SAVED TO SLOT');
+    } catch (error) {
+      console.warn('❌ EDITOR: Failed to save level:', error);
+      this.showMessage('SAVE FAILED');
+    }
   }
 
-  // Collision detection with collectibles (only during active gameplay)
-  if (gameState.collectibles && gameState.player && gameState.introComplete && !gameState.gameOver) {
-    gameState.collectibles.getChildren().forEach(collectible => {
-      // Only check collision if both entities are visible
-      if (collectible.visible && gameState.player.visible) {
-        const distance = Phaser.Math.Distance.Between(gameState.player.x, gameState.player.y, collectible.x, collectible.y);
-        if (distance < GAME_CONSTANTS.COLLECTIBLE_SIZE) {
-        collectible.setVisible(false);
-        gameState.collectibles.remove(collectible);
-        gameState.score += GAME_CONSTANTS.SCORE_PER_COLLECTIBLE;
-        if (gameState.scoreText) {
-          gameState.scoreText.setText(`Score: ${gameState.score}`);
-        }
+  loadSlot() {
+    let raw = null;
+    try {
+      raw = window.localStorage.getItem(GAME_CONSTANTS.LEVEL_STORAGE_KEY);
+    } catch (error) {
+      console.warn('❌ EDITOR: Failed to read level slot:', error);
+    }
 
-        // Play collect sound
-        AudioSystem.playCollectSound();
+    if (!raw) {
+      this.showMessage('SLOT IS EMPTY');
+      return;
+    }
+    this.replaceLevel(raw, 'SLOT');
+  }
 
-        // Check if all collectibles are collected
-        if (gameState.collectibles.getLength() === 0) {
-          // Start new round
-          gameState.round++;
-          if (gameState.roundText) {
-            gameState.roundText.setText(`Round: ${gameState.round}`);
-          }
-          gameState.enemySpeed += 1; // Increase enemy speed each round
+  exportFile() {
+    const fileName = JsonFileSystem.toFileName(this.level.name, 'level');
+    JsonFileSystem.save(fileName, this.level);
+    this.showMessage(`EXPORTED ${fileName.toUpperCase()}`);
+  }
 
-          // Play new round sound
-          AudioSystem.playNewRoundSound();
+  importFile() {
+    JsonFileSystem.open(text => this.replaceLevel(text, 'FILE'), () => this.showMessage('COULD NOT LOAD FILE'));
+  }
 
-          // Respawn collectibles
-          for (let i = 0; i < GAME_CONSTANTS.COLLECTIBLE_COUNT; i++) {
-            const x = Phaser.Math.Between(GAME_CONSTANTS.COLLECTIBLE_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.COLLECTIBLE_SIZE);
-            const y = Phaser.Math.Between(GAME_CONSTANTS.COLLECTIBLE_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.COLLECTIBLE_SIZE);
-            const newCollectible = GameFactory.createCollectible(this, x, y);
-            if (newCollectible) {
-              gameState.collectibles.add(newCollectible);
-            }
-          }
+  showMessage(message) {
+    this.messageText.setText(message);
+    if (this.messageTimer) this.messageTimer.remove();
+    this.messageTimer = this.time.delayedCall(2500, () => this.messageText.setText(''));
+  }
 
-          // Add new enemies with different types from round 2
-          if (gameState.round >= 2) {
-            const enemyType = Phaser.Math.RND.pick(gameState.enemyTypes);
-            const x = Phaser.Math.Between(GAME_CONSTANTS.ENEMY_SIZE, GAME_CONSTANTS.WIDTH - GAME_CONSTANTS.ENEMY_SIZE);
-            const y = Phaser.Math.Between(GAME_CONSTANTS.ENEMY_SIZE, GAME_CONSTANTS.HEIGHT - GAME_CONSTANTS.ENEMY_SIZE);
+  // Rebuilds the field from the level data; levels are small, so this is cheap enough to do on every edit
+  redraw() {
+    this.levelObjects.forEach(object => object.destroy());
+    this.levelObjects = [];
+    const level = this.level;
 
-            const newEnemy = GameFactory.createEnemy(this, x, y, enemyType);
-            if (newEnemy) {
-              gameState.enemies.add(newEnemy);
-            }
-          }
-        }
-      }
-      }
+    level.walls.forEach(wall => {
+      const rect = this.add.rectangle(wall.x + wall.width / 2, wall.y + wall.height / 2, wall.width, wall.height, 0x00ffff, 0.2);
+      rect.setStrokeStyle(2, 0x00ffff);
+      this.levelObjects.push(rect);
     });
-  }
 
-  // Collision detection with enemies (only during active gameplay)
-  if (gameState.enemies && gameState.player && gameState.introComplete && !gameState.gameOver) {
-    gameState.enemies.getChildren().forEach(enemy => {
-      // Only check collision if both entities are visible
-      if (enemy.visible && gameState.player.visible) {
-        const distance = Phaser.Math.Distance.Between(gameState.player.x, gameState.player.y, enemy.x, enemy.y);
-        if (distance < GAME_CONSTANTS.ENEMY_SIZE) {
-          gameState.health -= GAME_CONSTANTS.DAMAGE_PER_ENEMY;
-          if (gameState.healthText) {
-            gameState.healthText.setText(`Health: ${gameState.health}`);
-          }
+    const paths = this.add.graphics();
+    this.levelObjects.push(paths);
+    level.enemies.forEach((enemy, index) => {
+      if (enemy.path.length === 0) return;
 
-          // Play damage sound
-          AudioSystem.playDamageSound();
+      const selected = index === this.selectedEnemy;
+      paths.lineStyle(2, 0xff00ff, selected ? 0.9 : 0.4);
+      paths.fillStyle(0xff00ff, selected ? 0.9 : 0.4);
+      paths.strokePoints(enemy.path, true);
+      enemy.path.forEach(waypoint => paths.fillCircle(waypoint.x, waypoint.y, 4));
+    });
 
-          if (gameState.health <= 0) {
-            // Game over - stop the game
-            gameState.gameOver = true;
-            if (gameState.player) gameState.player.setVisible(false);
-            if (gameState.enemies) gameState.enemies.setVisible(false);
-            if (gameState.collectibles) gameState.collectibles.setVisible(false);
-
-            const gameOverText = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2,
-              'Game Over', {
-                fontSize: '32px',
-                fill: '#fff'
-              }).setOrigin(0.5);
-
-            // Add the AI GPU message with 80s retro styling
-            const aiGPUTitle = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 50,
-              'AI GOT ALL GPUS', {
-                fontSize: '28px',
-                fill: '#00ffff',
-                fontFamily: 'Press Start 2P'
-              }).setOrigin(0.5);
-            aiGPUTitle.setShadow(2, 2, '#000000', 4);
-
-            // Add subtitle with dramatic reveal effect
-            const aiSubtitle = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 80,
-              'SYSTEM COMPROMISED', {
-                fontSize: '16px',
-                fill: '#ff0000',
-                fontFamily: 'Press Start 2P'
-              }).setOrigin(0.5).setAlpha(0);
-            aiSubtitle.setShadow(1, 1, '#000000', 2);
-
-            // Animate the subtitle reveal
-            this.tweens.add({
-              targets: aiSubtitle,
-              alpha: { from: 0, to: 1 },
-              duration: 1000,
-              ease: 'Power2',
-              delay: 500
-            });
-
-            // Add some dramatic sound effects
-            AudioSystem.createBeep(300, 0.2, 'sawtooth', 0.4);
-            setTimeout(() => AudioSystem.createBeep(200, 0.3, 'sawtooth', 0.3), 300);
-            setTimeout(() => AudioSystem.createBeep(150, 0.4, 'sawtooth', 0.5), 600);
-
-            const restartButton = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 140,
-              'Restart', {
-                fontSize: '24px',
-                fill: '#fff'
-              }).setOrigin(0.5);
-            restartButton.setInteractive();
-
-            // Add instruction text for spacebar on restart (moved lower)
-            const restartInstruction = this.add.text(GAME_CONSTANTS.WIDTH / 2, GAME_CONSTANTS.HEIGHT / 2 + 180,
-              'OR PRESS SPACEBAR', {
-                fontSize: '12px',
-                fill: '#ffff00',
-                fontFamily: 'Press Start 2P'
-              }).setOrigin(0.5);
-
-            // Function to handle restart
-            const restartGame = () => {
-              // Reset game
-              location.reload(); // Simple restart
-            };
-
-            restartButton.on('pointerdown', restartGame);
-
-            // Add spacebar support for restart button
-            const spaceKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
-            spaceKey.on('down', restartGame);
-
-            // Play game over sound
-            AudioSystem.playGameOverSound();
-          }
-        }
+    level.collectibles.forEach(collectible => {
+      this.levelObjects.push(this.add.sprite(collectible.x, collectible.y, 'collectible'));
+    });
+
+    level.enemies.forEach((enemy, index) => {
+      this.levelObjects.push(this.add.sprite(enemy.x, enemy.y, EnemySystem.get(enemy.type).sprite));
+      if (index === this.selectedEnemy) {
+        const grid = GAME_CONSTANTS.EDITOR_GRID_SIZE;
+        this.levelObjects.push(this.add.rectangle(enemy.x, enemy.y, grid, grid).setStrokeStyle(2, 0xffff00));
       }
     });
+
+    this.levelObjects.push(this.add.sprite(level.playerStart.x, level.playerStart.y, 'player').setAlpha(0.7));
+
+    let goal = `COLLECT ALL (${level.collectibles.length})`;
+    if (level.win.type === 'survive') goal = `SURVIVE ${level.win.seconds}s`;
+    if (level.win.type === 'score') goal = `SCORE ${level.win.points}`;
+    this.statusText.setText(`${level.name}  TOOL: ${this.tool.toUpperCase()}  ENEMY: ${this.enemyType.toUpperCase()}  WIN: ${goal}`);
   }
 }
+
+const config = {
+  type: Phaser.AUTO,
+  width: GAME_CONSTANTS.WIDTH,
+  height: GAME_CONSTANTS.HEIGHT,
+  parent: 'game-container',
+  input: {
+    gamepad: true
+  },
+  scene: [BootScene, LogoScene, TitleScene, LoadingScene, GameScene, GameOverScene, HighScoreScene, PauseScene, OptionsScene, EditorScene, SoundLabScene]
+};
+
+const game = new Phaser.Game(config);
@@ -0,0 +1,275 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GAME_CONSTANTS, CoreMath, RandomSystem, EnemySystem, DifficultySystem, LevelSystem, ScoreSystem, GameCore } = require('../core.js');
+
+// The core logs to the browser console as it plays; keep the test output to the results
+console.log = () => {};
+console.warn = () => {};
+
+const STEP = GAME_CONSTANTS.FIXED_TIMESTEP;
+const IDLE = { x: 0, y: 0, confirm: false };
+
+// A random round with nothing on the field, so each test places only what it needs
+function createEmptyRun(seed = 'TEST') {
+  RandomSystem.seed(seed);
+  const state = GameCore.newRun({ levels: [] });
+  state.enemies = [];
+  state.collectibles = [];
+  state.powerUps = [];
+  state.player.x = 400;
+  state.player.y = 300;
+  GameCore.takeEvents(state);
+  return state;
+}
+
+// Steps for a timer of this many ms to run out, with one to spare for rounding in the step length
+function stepsFor(ms) {
+  return Math.ceil(ms / STEP) + 1;
+}
+
+function eventTypes(state) {
+  return GameCore.takeEvents(state).map(event => event.type);
+}
+
+test('collecting the last GPU tallies the round, then the next round starts', () => {
+  const state = createEmptyRun();
+  GameCore.spawnCollectible(state, 400, 300);
+  GameCore.spawnCollectible(state, 600, 300);
+
+  GameCore.step(state, IDLE, STEP);
+  assert.strictEqual(state.collectibles.length, 1);
+  assert.strictEqual(state.tally, null);
+
+  state.player.x = 600;
+  GameCore.step(state, IDLE, STEP);
+  assert.ok(state.tally, 'the round-clear tally is up');
+  assert.strictEqual(state.round, 1);
+  assert.ok(eventTypes(state).includes('roundClear'));
+
+  // Play holds while the tally is up
+  const steps = stepsFor(GAME_CONSTANTS.ROUND_TALLY_DURATION);
+  for (let i = 0; i < steps; i++) GameCore.step(state, IDLE, STEP);
+  assert.strictEqual(state.round, 2);
+  assert.strictEqual(state.tally, null);
+  assert.ok(eventTypes(state).includes('newRound'));
+  assert.ok(state.collectibles.length > 0, 'the new round has GPUs to collect');
+});
+
+test('random rounds bring the pack back to the difficulty curve\'s size', () => {
+  const state = createEmptyRun();
+  const settings = DifficultySystem.getRoundSettings(state.difficulty, 2);
+  for (let i = 0; i < settings.enemies + 6; i++) GameCore.spawnEnemy(state, 100 + i * 20, 100, 'splitter');
+  const oldest = state.enemies[0];
+
+  state.round = 2;
+  LevelSystem.startRound(state);
+  assert.strictEqual(state.enemies.length, settings.enemies);
+  assert.strictEqual(state.enemies[0], oldest);
+
+  state.enemies = [];
+  state.round = 3;
+  LevelSystem.startRound(state);
+  assert.strictEqual(state.enemies.length, DifficultySystem.getRoundSettings(state.difficulty, 3).enemies);
+});
+
+test('extra lives come at each EXTRA_LIFE_SCORES threshold, then every EXTRA_LIFE_INTERVAL', () => {
+  const state = createEmptyRun();
+  const lives = state.lives;
+  const thresholds = GAME_CONSTANTS.EXTRA_LIFE_SCORES;
+  const last = thresholds[thresholds.length - 1];
+
+  ScoreSystem.add(state, thresholds[0] - 1);
+  assert.strictEqual(state.lives, lives);
+  ScoreSystem.add(state, 1);
+  assert.strictEqual(state.lives, lives + 1);
+  assert.deepStrictEqual(eventTypes(state), ['extraLife']);
+
+  // One big award can pass several thresholds at once
+  ScoreSystem.add(state, last + GAME_CONSTANTS.EXTRA_LIFE_INTERVAL - state.score);
+  assert.strictEqual(state.lives, lives + thresholds.length + 1);
+  assert.strictEqual(state.nextExtraLife, last + 2 * GAME_CONSTANTS.EXTRA_LIFE_INTERVAL);
+});
+
+test('levels with a win condition they cannot meet do not load, except in the editor', () => {
+  const empty = { version: GAME_CONSTANTS.LEVEL_VERSION, name: 'EMPTY', collectibles: [] };
+  const withWin = win => Object.assign({}, empty, { win: win });
+
+  assert.strictEqual(LevelSystem.load(withWin({ type: 'collectAll' })), null);
+  assert.strictEqual(LevelSystem.load(withWin({ type: 'score', points: 100 })), null);
+  assert.ok(LevelSystem.load(withWin({ type: 'survive', seconds: 30 })));
+  assert.ok(LevelSystem.load(withWin({ type: 'score', points: 100 }), true));
+
+  // A score goal is capped at what the level's GPUs give
+  const level = LevelSystem.load(Object.assign(withWin({ type: 'score', points: 100 }), { collectibles: [{ x: 100, y: 100 }] }));
+  assert.strictEqual(level.win.points, GAME_CONSTANTS.SCORE_PER_COLLECTIBLE);
+});
+
+test('enemy contact costs health once, then knocks back with a window of invulnerability', () => {
+  const state = createEmptyRun();
+  const enemy = GameCore.spawnEnemy(state, 400, 300, 'chaser');
+  const health = state.health;
+
+  GameCore.checkContacts(state);
+  assert.strictEqual(state.health, health - state.damage);
+  assert.strictEqual(state.invulnerable, true);
+  assert.ok(state.knockback);
+  assert.ok(eventTypes(state).includes('damage'));
+
+  enemy.x = state.player.x;
+  enemy.y = state.player.y;
+  GameCore.checkContacts(state);
+  assert.strictEqual(state.health, health - state.damage, 'no damage while invulnerable');
+});
+
+test('losing the last life ends the run and stops the simulation', () => {
+  const state = createEmptyRun();
+  state.lives = 1;
+  state.health = state.damage;
+  GameCore.spawnEnemy(state, 400, 300, 'chaser');
+
+  GameCore.checkContacts(state);
+  assert.strictEqual(state.gameOver, true);
+  assert.deepStrictEqual(eventTypes(state), ['damage', 'lifeLost', 'gameOver']);
+
+  const player = Object.assign({}, state.player);
+  GameCore.step(state, { x: 1, y: 1, confirm: false }, STEP);
+  assert.strictEqual(state.player.x, player.x);
+  assert.strictEqual(state.player.y, player.y);
+});
+
+test('losing a life with lives left respawns the player at full health', () => {
+  const state = createEmptyRun();
+  state.health = state.damage;
+  GameCore.spawnEnemy(state, 400, 300, 'chaser');
+
+  GameCore.checkContacts(state);
+  assert.strictEqual(state.gameOver, false);
+  assert.strictEqual(state.lives, GAME_CONSTANTS.STARTING_LIVES - 1);
+  assert.strictEqual(state.health, GAME_CONSTANTS.MAX_HEALTH);
+  assert.ok(eventTypes(state).includes('respawn'));
+});
+
+test('every registered enemy type has a behaviour the core can run', () => {
+  GAME_CONSTANTS.ENEMY_TYPES.forEach(type => {
+    const state = createEmptyRun();
+    const enemy = GameCore.spawnEnemy(state, 200, 200, type);
+    assert.strictEqual(enemy.type, type);
+    GameCore.moveEnemy(state, enemy, STEP);
+    assert.ok(Number.isFinite(enemy.x) && Number.isFinite(enemy.y), `${type} stays on the field`);
+  });
+});
+
+// Pixels an enemy of this type may cover in one step
+function stepSpeed(state, type) {
+  return state.enemySpeed * EnemySystem.get(type).speed * GameCore.frameSeconds(STEP);
+}
+
+function distanceToPlayer(state, enemy) {
+  return CoreMath.distance(enemy.x, enemy.y, state.player.x, state.player.y);
+}
+
+test('random enemies jitter by at most their speed on each axis', () => {
+  const state = createEmptyRun();
+  const enemy = GameCore.spawnEnemy(state, 200, 200, 'random');
+  const speed = stepSpeed(state, 'random');
+
+  for (let i = 0; i < 20; i++) {
+    const before = { x: enemy.x, y: enemy.y };
+    GameCore.moveEnemy(state, enemy, STEP);
+    assert.ok(Math.abs(enemy.x - before.x) <= speed + 1e-9);
+    assert.ok(Math.abs(enemy.y - before.y) <= speed + 1e-9);
+  }
+});
+
+test('chasers close in on the player at their speed', () => {
+  const state = createEmptyRun();
+  const enemy = GameCore.spawnEnemy(state, 100, 300, 'chaser');
+  const before = distanceToPlayer(state, enemy);
+
+  GameCore.moveEnemy(state, enemy, STEP);
+  assert.ok(Math.abs(before - distanceToPlayer(state, enemy) - stepSpeed(state, 'chaser')) < 1e-9);
+});
+
+test('patrols walk their waypoints in a loop', () => {
+  const state = createEmptyRun();
+  const enemy = GameCore.spawnEnemy(state, 100, 100, 'patrol');
+  enemy.path = [{ x: 100, y: 100 }, { x: 110, y: 100 }];
+  enemy.pathIndex = 1;
+
+  for (let i = 0; i < 200 && enemy.pathIndex === 1; i++) GameCore.moveEnemy(state, enemy, STEP);
+  assert.deepStrictEqual({ x: enemy.x, y: enemy.y, pathIndex: enemy.pathIndex }, { x: 110, y: 100, pathIndex: 0 });
+});
+
+test('patrols without a route move in a straight line', () => {
+  const state = createEmptyRun();
+  const enemy = GameCore.spawnEnemy(state, 400, 100, 'patrol');
+  enemy.moveDirection = 3; // right
+
+  GameCore.moveEnemy(state, enemy, STEP);
+  assert.ok(Math.abs(enemy.x - 400 - stepSpeed(state, 'patrol')) < 1e-9);
+  assert.strictEqual(enemy.y, 100);
+});
+
+test('ambushers aim ahead of a moving player', () => {
+  const state = createEmptyRun();
+  const enemy = GameCore.spawnEnemy(state, 400, 100, 'ambusher');
+
+  // The player runs right under the ambusher: it heads right of straight down
+  for (let i = 0; i < 30; i++) {
+    state.player.x += 4;
+    GameCore.moveEnemy(state, enemy, STEP);
+  }
+  assert.ok(enemy.x > 400);
+  assert.ok(enemy.y > 100);
+});
+
+test('wall-huggers head for the nearest wall, then run along it', () => {
+  const state = createEmptyRun();
+  state.player.x = 400;
+  state.player.y = 300;
+  const enemy = GameCore.spawnEnemy(state, 400, 60, 'wallHugger');
+
+  for (let i = 0; i < 120; i++) GameCore.moveEnemy(state, enemy, STEP);
+  const onTrack = EnemySystem.toWallTrack(enemy.x, enemy.y);
+  assert.ok(CoreMath.distance(enemy.x, enemy.y, onTrack.x, onTrack.y) < 1e-6, 'on the wall track');
+
+  const before = onTrack.distance;
+  GameCore.moveEnemy(state, enemy, STEP);
+  assert.notStrictEqual(EnemySystem.toWallTrack(enemy.x, enemy.y).distance, before);
+});
+
+test('splitters divide into smaller copies when their timer runs out', () => {
+  const state = createEmptyRun();
+  const enemy = GameCore.spawnEnemy(state, 100, 100, 'splitter');
+
+  const steps = stepsFor(GAME_CONSTANTS.SPLITTER_SPLIT_TIME);
+  for (let i = 0; i < steps; i++) GameCore.moveEnemy(state, enemy, STEP);
+  assert.strictEqual(state.enemies.length, GAME_CONSTANTS.SPLITTER_CHILDREN);
+  state.enemies.forEach(half => {
+    assert.strictEqual(half.type, 'splitter');
+    assert.strictEqual(half.generation, 1);
+    assert.strictEqual(half.scale, GAME_CONSTANTS.SPLITTER_CHILD_SCALE);
+  });
+});
+
+test('teleporters blink away to a spot clear of the player', () => {
+  const state = createEmptyRun();
+  const enemy = GameCore.spawnEnemy(state, 380, 300, 'teleporter');
+
+  const steps = stepsFor(GAME_CONSTANTS.TELEPORTER_INTERVAL);
+  for (let i = 0; i < steps; i++) GameCore.moveEnemy(state, enemy, STEP);
+  assert.strictEqual(enemy.moveTimer, 0);
+  assert.ok(distanceToPlayer(state, enemy) >= GAME_CONSTANTS.TELEPORTER_MIN_DISTANCE);
+});
+
+test('the same seed and inputs play out the same run', () => {
+  const play = () => {
+    RandomSystem.seed('REPLAY');
+    const state = GameCore.newRun();
+    for (let i = 0; i < 1200 && !state.gameOver; i++) {
+      GameCore.step(state, { x: Math.sign(Math.sin(i / 40)), y: Math.sign(Math.cos(i / 55)), confirm: i % 90 === 0 }, STEP);
+    }
+    return { score: state.score, round: state.round, health: state.health, x: state.player.x, y: state.player.y };
+  };
+  assert.deepStrictEqual(play(), play());
+});
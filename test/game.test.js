@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { isDeepStrictEqual } = require('node:util');
+
+// game.js is a browser script written against Phaser's globals. Its systems are loaded here with core.js
+// into a context that has just enough of Phaser to define the scenes and a game that never starts.
+function loadGame() {
+  const root = path.join(__dirname, '..');
+  const store = {};
+  const localStorage = {
+    getItem: key => (key in store ? store[key] : null),
+    setItem: (key, value) => { store[key] = String(value); },
+    removeItem: key => { delete store[key]; }
+  };
+  const context = vm.createContext({
+    console: { log: () => {}, warn: () => {}, error: () => {} },
+    Phaser: { AUTO: 0, Scene: class {}, Game: class {} },
+    window: { localStorage: localStorage, location: { search: '' }, addEventListener: () => {} },
+    localStorage: localStorage,
+    setTimeout: () => 0,
+    clearTimeout: () => {},
+    setInterval: () => 0,
+    clearInterval: () => {}
+  });
+  ['core.js', 'game.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+  });
+  // Top-level consts of the scripts live in the context's global scope, not on its global object
+  return vm.runInContext('({ gameState, GameLogicSystem, GameCore, RandomSystem, LevelSystem, ReplaySystem, HighScoreSystem })', context);
+}
+
+// Each run field as a mid-run value that differs from its starting one
+function dirtyRunState(game) {
+  const { gameState, GameCore, RandomSystem } = game;
+  RandomSystem.seed('DIRTY');
+  const sim = GameCore.newRun();
+  sim.score = 1234;
+  sim.round = 7;
+  sim.roundTime = 5000;
+  sim.invulnerable = true;
+  sim.invulnerableTime = 800;
+
+  const text = { setText: () => text };
+  Object.assign(gameState, {
+    sim: sim,
+    powerUpText: text,
+    objectiveText: text,
+    scoreText: text,
+    healthText: text,
+    livesText: text,
+    roundText: text,
+    bossBar: {},
+    abilityMeters: {},
+    introComplete: true,
+    paused: true,
+    playtest: true,
+    levels: [sim.levels[0]],
+    seed: 'DIRTY',
+    recording: { inputs: [[10, 1, 0, 0]], continues: 1 },
+    replay: { ended: false, index: 3, paused: true }
+  });
+}
+
+test('createRunState lists every field a run changes, with its starting value', () => {
+  const { GameLogicSystem } = loadGame();
+  const fields = GameLogicSystem.createRunState();
+
+  ['sim', 'scoreText', 'healthText', 'livesText', 'roundText', 'paused', 'playtest', 'seed', 'recording', 'replay'].forEach(field => {
+    assert.ok(field in fields, `${field} is a run field`);
+  });
+  assert.strictEqual(fields.sim, null);
+  assert.strictEqual(fields.paused, false);
+  assert.strictEqual(fields.introComplete, false);
+
+  // A fresh object every time, so a run can never share state with the last one
+  assert.notStrictEqual(GameLogicSystem.createRunState(), fields);
+});
+
+test('resetRunState puts every run field back to its starting value', () => {
+  const game = loadGame();
+  const { gameState, GameLogicSystem } = game;
+  dirtyRunState(game);
+  const fresh = GameLogicSystem.createRunState();
+  Object.keys(fresh).forEach(field => {
+    assert.ok(gameState[field] !== undefined && !isDeepStrictEqual(gameState[field], fresh[field]), `${field} is dirtied before the reset`);
+  });
+
+  GameLogicSystem.resetRunState();
+  Object.keys(fresh).forEach(field => {
+    assert.deepStrictEqual(gameState[field], fresh[field], `${field} is reset`);
+  });
+});
+
+test('resetRunState keeps the session: credits, free play, difficulty and audio settings', () => {
+  const game = loadGame();
+  const { gameState, GameLogicSystem } = game;
+  Object.assign(gameState, { credits: 4, freePlay: true, difficulty: 'nightmare', muted: true });
+  gameState.volume = { master: 0.5, music: 0.3, sfx: 0.8 };
+  dirtyRunState(game);
+
+  GameLogicSystem.resetRunState();
+  assert.strictEqual(gameState.credits, 4);
+  assert.strictEqual(gameState.freePlay, true);
+  assert.strictEqual(gameState.difficulty, 'nightmare');
+  assert.strictEqual(gameState.muted, true);
+  assert.deepStrictEqual(gameState.volume, { master: 0.5, music: 0.3, sfx: 0.8 });
+});
+
+test('resetRunState closes an initials entry left on screen', () => {
+  const game = loadGame();
+  const { gameState, GameLogicSystem } = game;
+  let destroyed = 0;
+  gameState.initialsEntry = {
+    scene: null,
+    handlers: {},
+    elements: [{ destroy: () => destroyed++ }, { destroy: () => destroyed++ }]
+  };
+
+  GameLogicSystem.resetRunState();
+  assert.strictEqual(gameState.initialsEntry, null);
+  assert.strictEqual(destroyed, 2);
+});
+
+test('restartGame resets the run, then starts a fresh Game scene on the same levels', () => {
+  const game = loadGame();
+  const { gameState, GameLogicSystem } = game;
+  dirtyRunState(game);
+  const levels = gameState.levels;
+
+  const started = [];
+  const scene = {
+    scene: {
+      start: (key, data) => {
+        // The run is already reset by the time the new scene starts
+        started.push({ key: key, levels: data.levels, sim: gameState.sim, paused: gameState.paused, replay: gameState.replay });
+      }
+    }
+  };
+  GameLogicSystem.restartGame.call(scene);
+  assert.deepStrictEqual(started, [{ key: 'Game', levels: levels, sim: null, paused: false, replay: null }]);
+});
+
+test('a replay of a run on custom levels carries them, and only plays back when they load', () => {
+  const { gameState, LevelSystem, ReplaySystem, RandomSystem, GameCore } = loadGame();
+  const level = LevelSystem.load(LevelSystem.builtIn[1]);
+  gameState.levels = [level];
+  gameState.seed = RandomSystem.startRun('CUSTOM');
+  gameState.sim = GameCore.newRun({ levels: gameState.levels });
+  ReplaySystem.startRecording();
+  ReplaySystem.record({ x: 1, y: 0, confirm: false });
+
+  const log = JSON.parse(JSON.stringify(ReplaySystem.finishRecording()));
+  // Compared as JSON: the loaded levels are objects of the script's realm
+  assert.strictEqual(JSON.stringify(ReplaySystem.load(log).levels), JSON.stringify([level]));
+
+  log.levels[0].collectibles = [];
+  assert.strictEqual(ReplaySystem.load(log), null);
+
+  // Runs on the built-in set leave the field out
+  delete log.levels;
+  assert.strictEqual(ReplaySystem.load(log).levels, null);
+});
+
+test('runs on custom levels stay off the high score tables', () => {
+  const { gameState, LevelSystem, HighScoreSystem } = loadGame();
+  assert.strictEqual(HighScoreSystem.qualifies(500), true);
+
+  gameState.levels = [LevelSystem.load(LevelSystem.builtIn[0])];
+  assert.strictEqual(HighScoreSystem.qualifies(500), false);
+});